@@ -4,7 +4,8 @@
  * Two modes:
  *   SEARCH: Type a product → per-store compare view
  *           (listing → first product detail + supermarket alternatives → merge)
- *   BASKET: Ingredient list → staggered search → totals per store
+ *   BASKET: Ingredient list ("2x 500g mince", "12 eggs") → one streamed /api/basket request → totals per store
+ *           + the cheapest split across up to N stores (trip costs / minimum spends)
  */
 
 // ─── DOM ─────────────────────────────────────────────────────────
@@ -35,6 +36,9 @@ let currentCompareByStore = {};
 const cache = { searches: {} };
 
 let basketSelections = {};
+let basketNeeds      = {};   // ingredient line → parsed quantity from /api/basket
+let basketRun        = null; // { ingredients, stores } behind the results on screen
+let planSettings     = { maxStores: 2, trips: {} };   // trips: store → { cost, minimum }
 
 // ─── Known stores ────────────────────────────────────────────────
 const STORE_NAMES = [
@@ -217,7 +221,60 @@ function getSelectedStores() {
   return [...document.querySelectorAll(".store-check input:checked")].map((cb) => cb.value);
 }
 
-function delay(ms) { return new Promise((r) => setTimeout(r, ms)); }
+function setBasketItemState(index, state) {
+  const bpItem = $(`bp-${index}`);
+  if (!bpItem) return;
+  const icon = bpItem.querySelector(".bp-item__icon");
+  icon.innerHTML = {
+    active: '<div class="loading__spinner loading__spinner--sm"></div>',
+    done: "&#x2705;",
+    fail: "&#x274C;",
+  }[state];
+  icon.className = `bp-item__icon bp-item__icon--${state}`;
+}
+
+function selectBasketPrices(ing, storePrices, stores) {
+  basketSelections[ing] = {};
+  for (const sp of (storePrices || [])) {
+    if (stores.includes(sp.store)) {
+      basketSelections[ing][sp.store] = sp;
+    }
+  }
+  return Object.keys(basketSelections[ing]).length > 0;
+}
+
+/**
+ * POST the uncached ingredients to /api/basket and handle its NDJSON lines as
+ * they arrive (the server compares a few at a time, so they finish out of order).
+ */
+async function streamBasket(items, stores, onMessage) {
+  const res = await fetch("/api/basket", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ items, stores }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Basket search failed");
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onMessage(JSON.parse(line));
+    }
+    if (done) break;
+  }
+  if (buffered.trim()) onMessage(JSON.parse(buffered));
+}
 
 async function doBasketSearch() {
   const text = basketTextarea.value.trim();
@@ -231,6 +288,7 @@ async function doBasketSearch() {
 
   basketSearching = true;
   basketSelections = {};
+  basketNeeds = {};
 
   $("basketInput").hidden = true;
   basketProgress.hidden = false;
@@ -245,40 +303,54 @@ async function doBasketSearch() {
   `).join("");
 
   try {
-    for (let i = 0; i < ingredients.length; i++) {
-      const ing = ingredients[i];
-      const bpItem = $(`bp-${i}`);
-
-      if (bpItem) {
-        bpItem.querySelector(".bp-item__icon").innerHTML = '<div class="loading__spinner loading__spinner--sm"></div>';
-        bpItem.querySelector(".bp-item__icon").className = "bp-item__icon bp-item__icon--active";
-      }
-      basketProgressMsg.textContent = FUN_MESSAGES[i % FUN_MESSAGES.length].replace("{0}", ing);
-
-      let data;
-      const basketCacheKey = `branded:${ing}`;
-      if (cache.searches[basketCacheKey]) {
-        data = cache.searches[basketCacheKey];
+    // Anything searched earlier this session is filled in straight away. The
+    // server only returns the selected stores, so the key includes them.
+    const basketCacheKey = (ing) => `basket:${stores.join(",")}:${ing}`;
+    let pending = [];
+    ingredients.forEach((ing, i) => {
+      const cached = cache.searches[basketCacheKey(ing)];
+      if (cached) {
+        basketNeeds[ing] = cached.need;
+        setBasketItemState(i, selectBasketPrices(ing, cached.storePrices, stores) ? "done" : "fail");
       } else {
-        if (i > 0) await delay(2500);
-        const res = await fetch(`/api/search?q=${encodeURIComponent(ing)}&compare=1`);
-        if (!res.ok) throw new Error(`Failed to search for "${ing}"`);
-        data = await res.json();
-        cache.searches[basketCacheKey] = data;
-      }
-
-      basketSelections[ing] = {};
-      for (const sp of (data.storePrices || [])) {
-        if (stores.includes(sp.store)) {
-          basketSelections[ing][sp.store] = sp;
-        }
+        pending.push(i);
       }
+    });
 
-      if (bpItem) {
-        const hasResults = Object.keys(basketSelections[ing]).length > 0;
-        bpItem.querySelector(".bp-item__icon").innerHTML = hasResults ? "&#x2705;" : "&#x274C;";
-        bpItem.querySelector(".bp-item__icon").className = `bp-item__icon bp-item__icon--${hasResults ? "done" : "fail"}`;
+    // A long basket can outlast the function's time limit, so whatever one
+    // request didn't get to is sent again, for as long as each round finishes something
+    while (pending.length > 0) {
+      const round = pending;
+      const finished = new Set();
+      try {
+        await streamBasket(round.map((i) => ingredients[i]), stores, (msg) => {
+          if (msg.type === "error" && msg.index === undefined) throw new Error(msg.error || "Basket search failed");
+          if (msg.index === undefined) return;
+
+          // msg.index is the position in this round's list, not the full list
+          const i = round[msg.index];
+          const ing = ingredients[i];
+
+          if (msg.type === "searching") {
+            setBasketItemState(i, "active");
+            basketProgressMsg.textContent = FUN_MESSAGES[i % FUN_MESSAGES.length].replace("{0}", ing);
+          } else if (msg.type === "result") {
+            cache.searches[basketCacheKey(ing)] = { query: msg.query, need: msg.need, storePrices: msg.storePrices };
+            basketNeeds[ing] = msg.need;
+            setBasketItemState(i, selectBasketPrices(ing, msg.storePrices, stores) ? "done" : "fail");
+            finished.add(i);
+          } else if (msg.type === "error") {
+            basketSelections[ing] = {};
+            setBasketItemState(i, "fail");
+            finished.add(i);
+          }
+        });
+      } catch (err) {
+        // A dropped connection mid-round is the same cut-off: retry what's left
+        if (finished.size === 0) throw err;
       }
+      if (finished.size === 0) throw new Error("Basket search was cut off — try again.");
+      pending = round.filter((i) => !finished.has(i));
     }
 
     basketProgress.hidden = true;
@@ -294,34 +366,290 @@ async function doBasketSearch() {
   }
 }
 
+// ─── Multi-buy offers ────────────────────────────────────────────
+
+/** Offers that change what a basket pays; single-item ones are already in Trolley's shelf price */
+function isMultiBuy(offer) {
+  if (offer.type === "multiprice" || offer.type === "buyget") return true;
+  return (offer.type === "percent" || offer.type === "amountoff") && offer.qty >= 2;
+}
+
+/**
+ * Apply multi-buy offers to one store's basket lines ([{ ing, product }]).
+ * Units on the same offer are pooled — across lines for "ANY ..." offers,
+ * otherwise per product — and the deal goes to the priciest units first.
+ * Returns { saving, applied: [{ text, scheme, saving, ings }] }.
+ */
+function applyStoreOffers(lines) {
+  const groups = {};
+  for (const { ing, product } of lines) {
+    const offer = product.offer;
+    if (!offer || !isMultiBuy(offer)) continue;
+
+    const key = `${offer.any ? "any" : product.code}|${offer.text.toUpperCase()}`;
+    const group = groups[key] || (groups[key] = { offer, units: [], ings: [] });
+    group.ings.push(ing);
+    for (let i = 0; i < (product.packs || 1); i++) {
+      group.units.push({ shelf: product.price, best: bestPrice(product) });
+    }
+  }
+
+  const applied = [];
+  for (const { offer, units, ings } of Object.values(groups)) {
+    units.sort((a, b) => b.shelf - a.shelf);
+    const without = units.reduce((sum, u) => sum + u.best, 0);
+    const saving  = without - offerCost(offer, units);
+    if (saving > 0.005) applied.push({ text: offer.text, scheme: offer.scheme, saving, ings });
+  }
+
+  return { saving: applied.reduce((sum, a) => sum + a.saving, 0), applied };
+}
+
+/** What `units` (sorted priciest first) cost with `offer`; leftovers pay their best price */
+function offerCost(offer, units) {
+  const setSize = offer.type === "multiprice" ? offer.qty
+    : offer.type === "buyget" ? offer.buy + offer.get
+    : offer.qty;
+  const sets = Math.floor(units.length / setSize);
+  const inDeal = units.slice(0, sets * setSize);
+  const rest   = units.slice(sets * setSize).reduce((sum, u) => sum + u.best, 0);
+  const shelf  = inDeal.reduce((sum, u) => sum + u.shelf, 0);
+
+  switch (offer.type) {
+    case "multiprice":
+      return sets * offer.price + rest;
+    case "buyget": {
+      // In each set the cheapest `get` units are free
+      let paid = 0;
+      for (let i = 0; i < sets; i++) {
+        paid += inDeal.slice(i * setSize, i * setSize + offer.buy).reduce((sum, u) => sum + u.shelf, 0);
+      }
+      return paid + rest;
+    }
+    case "percent":
+      return shelf * (1 - offer.percent / 100) + rest;
+    case "amountoff":
+      return Math.max(0, shelf - sets * offer.amount) + rest;
+    default:
+      return inDeal.reduce((sum, u) => sum + u.best, 0) + rest;
+  }
+}
+
+// ─── Split-basket planner ────────────────────────────────────────
+
+/** Trip cost and minimum spend for a store (both default to 0) */
+function getTrip(store) {
+  return { cost: 0, minimum: 0, ...(planSettings.trips[store] || {}) };
+}
+
+/** Basket cost at one store for the given lines, after multi-buy offers */
+function storeSubtotal(store, ings) {
+  const lines = ings.map((ing) => ({ ing, product: basketSelections[ing][store] }));
+  const gross = lines.reduce((sum, l) => sum + lineCost(l.product), 0);
+  return gross - applyStoreOffers(lines).saving;
+}
+
+/**
+ * Cheapest way to buy the basket from at most `maxStores` of `stores`.
+ * Every combination of stores is tried (there are only a handful to pick from):
+ * each item goes to its cheapest store in the combination, then items are moved
+ * onto any store still short of its minimum spend, cheapest move first.
+ * Plans missing fewer items win, then the lowest total including trip costs.
+ * Returns { stops: [{ store, ings, subtotal, trip }], missing, total } or null
+ * when no combination meets the minimum spends.
+ */
+function planBasket(ingredients, stores, maxStores) {
+  let best = null;
+
+  for (let mask = 1; mask < (1 << stores.length); mask++) {
+    const combo = stores.filter((_, i) => mask & (1 << i));
+    if (combo.length > maxStores) continue;
+
+    const plan = planForStores(ingredients, combo);
+    if (!plan) continue;
+    if (!best || plan.missing.length < best.missing.length
+        || (plan.missing.length === best.missing.length && plan.total < best.total - 0.005)) {
+      best = plan;
+    }
+  }
+  return best;
+}
+
+/** Best plan that visits exactly `combo`, or null if a store ends up unused or under its minimum */
+function planForStores(ingredients, combo) {
+  const assigned = {};
+  const missing  = [];
+  for (const store of combo) assigned[store] = [];
+
+  const owner = {};
+  for (const ing of ingredients) {
+    const selections = basketSelections[ing] || {};
+    const options = combo.filter((store) => selections[store]);
+    if (options.length === 0) { missing.push(ing); continue; }
+    owner[ing] = options.reduce((a, b) => (lineCost(selections[b]) < lineCost(selections[a]) ? b : a));
+    assigned[owner[ing]].push(ing);
+  }
+
+  // Top up stores below their minimum spend with the items that cost least extra to move
+  for (const store of combo) {
+    const { minimum } = getTrip(store);
+    const moves = Object.keys(owner)
+      .filter((ing) => owner[ing] !== store && basketSelections[ing][store])
+      .map((ing) => ({ ing, extra: lineCost(basketSelections[ing][store]) - lineCost(basketSelections[ing][owner[ing]]) }))
+      .sort((a, b) => a.extra - b.extra);
+
+    while (minimum > 0 && storeSubtotal(store, assigned[store]) < minimum && moves.length > 0) {
+      const { ing } = moves.shift();
+      assigned[owner[ing]] = assigned[owner[ing]].filter((i) => i !== ing);
+      assigned[store].push(ing);
+      owner[ing] = store;
+    }
+  }
+
+  const stops = [];
+  for (const store of combo) {
+    // A store with nothing to buy is the same as a smaller combination
+    if (assigned[store].length === 0) return null;
+    const subtotal = storeSubtotal(store, assigned[store]);
+    const trip = getTrip(store);
+    if (subtotal < trip.minimum) return null;
+    stops.push({ store, ings: assigned[store], subtotal, trip: trip.cost });
+  }
+
+  const total = stops.reduce((sum, stop) => sum + stop.subtotal + stop.trip, 0);
+  return { stops, missing, total };
+}
+
+function renderPlanControls(stores) {
+  const maxOptions = stores.map((_, i) => i + 1)
+    .map((n) => `<option value="${n}" ${n === Math.min(planSettings.maxStores, stores.length) ? "selected" : ""}>${n} ${n === 1 ? "store" : "stores"}</option>`)
+    .join("");
+
+  // Stores are passed by index: names like "Sainsbury's" can't sit in an inline handler
+  const tripRows = stores.map((store, i) => {
+    const trip = getTrip(store);
+    return `
+      <div class="plan-trip">
+        <span class="plan-trip__store bs-card__store--${storeClass(store)}">${esc(store)}</span>
+        <label>Trip £<input type="number" min="0" step="0.5" value="${trip.cost || ""}" placeholder="0"
+          onchange="setPlanTrip(${i}, 'cost', this.value)"></label>
+        <label>Min spend £<input type="number" min="0" step="1" value="${trip.minimum || ""}" placeholder="0"
+          onchange="setPlanTrip(${i}, 'minimum', this.value)"></label>
+      </div>
+    `;
+  }).join("");
+
+  return `
+    <h3 class="basket-summary__title">Best split</h3>
+    <div class="plan-controls">
+      <label>Visit up to <select onchange="setPlanMaxStores(this.value)">${maxOptions}</select></label>
+      <details class="plan-trips">
+        <summary>Trip costs &amp; minimum spends</summary>
+        ${tripRows}
+      </details>
+    </div>
+  `;
+}
+
+function renderBasketPlan() {
+  const target = $("basketPlanResult");
+  if (!target || !basketRun) return;
+  const { ingredients, stores } = basketRun;
+
+  const maxStores = Math.min(planSettings.maxStores, stores.length);
+  const plan = planBasket(ingredients, stores, maxStores);
+  if (!plan) {
+    target.innerHTML = `<p class="plan__empty">No combination of stores meets the minimum spends — lower a minimum or allow more stores.</p>`;
+    return;
+  }
+
+  // Compare against doing the whole shop at the best single store
+  const single = planBasket(ingredients, stores, 1);
+  const tripTotal = plan.stops.reduce((sum, stop) => sum + stop.trip, 0);
+
+  let html = `
+    <div class="plan__total">
+      <span>£${plan.total.toFixed(2)}</span>
+      ${tripTotal > 0 ? `<span class="plan__note">incl. £${tripTotal.toFixed(2)} trips</span>` : ""}
+    </div>
+  `;
+  if (single && plan.stops.length > 1 && single.missing.length === plan.missing.length && single.total - plan.total > 0.005) {
+    html += `<p class="plan__note">£${(single.total - plan.total).toFixed(2)} less than shopping only at ${esc(single.stops[0].store)}</p>`;
+  }
+
+  for (const stop of plan.stops) {
+    html += `
+      <div class="plan-stop">
+        <div class="plan-stop__header">
+          <span class="bs-card__store--${storeClass(stop.store)}">${esc(stop.store)}</span>
+          <span>£${stop.subtotal.toFixed(2)}${stop.trip > 0 ? ` + £${stop.trip.toFixed(2)} trip` : ""}</span>
+        </div>
+        <ul class="plan-stop__items">
+          ${stop.ings.map((ing) => {
+            const product = basketSelections[ing][stop.store];
+            const packs = product.packs || 1;
+            return `<li><span>${esc(ing)}</span><span>${packs > 1 ? `${packs} × ` : ""}£${bestPrice(product).toFixed(2)}</span></li>`;
+          }).join("")}
+        </ul>
+      </div>
+    `;
+  }
+
+  if (plan.missing.length > 0) {
+    html += `<p class="plan__note">Not found at these stores: ${plan.missing.map(esc).join(", ")}</p>`;
+  }
+  target.innerHTML = html;
+}
+
+function setPlanMaxStores(value) {
+  planSettings.maxStores = parseInt(value, 10) || 1;
+  renderBasketPlan();
+}
+
+function setPlanTrip(storeIndex, field, value) {
+  if (!basketRun) return;
+  const store = basketRun.stores[storeIndex];
+  planSettings.trips[store] = { ...getTrip(store), [field]: Math.max(0, parseFloat(value) || 0) };
+  renderBasketPlan();
+}
+
 function renderBasketResults(ingredients, stores) {
   const storeTotals  = {};
   const storeMissing = {};
+  const storeOffers  = {};
   for (const store of stores) { storeTotals[store] = 0; storeMissing[store] = []; }
 
   for (const ing of ingredients) {
     const selections = basketSelections[ing] || {};
     for (const store of stores) {
       if (selections[store]) {
-        const p = selections[store];
-        storeTotals[store] += (p.loyaltyPrice && p.loyaltyPrice < p.price) ? p.loyaltyPrice : p.price;
+        storeTotals[store] += lineCost(selections[store]);
       } else {
         storeMissing[store].push(ing);
       }
     }
   }
 
+  for (const store of stores) {
+    const lines = ingredients
+      .filter((ing) => basketSelections[ing] && basketSelections[ing][store])
+      .map((ing) => ({ ing, product: basketSelections[ing][store] }));
+    storeOffers[store] = applyStoreOffers(lines);
+    storeTotals[store] -= storeOffers[store].saving;
+  }
+
   const sortedStores = [...stores].sort((a, b) => {
     if (storeMissing[a].length !== storeMissing[b].length)
       return storeMissing[a].length - storeMissing[b].length;
     return storeTotals[a] - storeTotals[b];
   });
 
-  // Summary cards
-  let summaryHtml = '<h3 class="basket-summary__title">Basket total by store</h3><div class="basket-summary__cards">';
+  // Summary cards, with the split-basket plan alongside
+  let summaryHtml = '<div class="basket-summary__layout"><div><h3 class="basket-summary__title">Basket total by store</h3><div class="basket-summary__cards">';
   sortedStores.forEach((store, i) => {
     const total   = storeTotals[store];
     const missing = storeMissing[store];
+    const offers  = storeOffers[store];
     const itemCount  = ingredients.length - missing.length;
     const isCheapest = i === 0 && missing.length === 0;
     summaryHtml += `
@@ -336,20 +664,32 @@ function renderBasketResults(ingredients, stores) {
           <span class="bs-card__count">${itemCount}/${ingredients.length} items</span>
           ${missing.length > 0 ? `<span class="bs-card__missing">Missing: ${missing.map(esc).join(", ")}</span>` : ""}
         </div>
+        ${offers.applied.length > 0 ? `
+          <div class="bs-card__offers">
+            <span class="bs-card__saving">Offers save £${offers.saving.toFixed(2)}</span>
+            ${offers.applied.map((a) => `
+              <span class="bs-card__offer" title="${esc(a.ings.join(", "))}">${esc(a.text)}${a.scheme ? ` (${esc(a.scheme)})` : ""} −£${a.saving.toFixed(2)}</span>
+            `).join("")}
+          </div>` : ""}
       </div>
     `;
   });
-  summaryHtml += '</div>';
+  summaryHtml += '</div></div>';
+  summaryHtml += `<div class="basket-plan">${renderPlanControls(stores)}<div id="basketPlanResult"></div></div></div>`;
   basketSummary.innerHTML = summaryHtml;
 
+  basketRun = { ingredients, stores };
+  renderBasketPlan();
+
   // Per-ingredient breakdown
   let ingHtml = '<h3 class="basket-ing__title">Per ingredient</h3>';
   for (const ing of ingredients) {
     const selections = basketSelections[ing] || {};
     const hasAny = Object.keys(selections).length > 0;
+    const need   = basketNeeds[ing];
 
     ingHtml += `<div class="bi-row">`;
-    ingHtml += `<div class="bi-row__header">${esc(ing)}</div>`;
+    ingHtml += `<div class="bi-row__header">${esc(need ? need.query : ing)}${need && need.label ? ` <span class="bi-row__need">${esc(need.label)}</span>` : ""}</div>`;
 
     if (!hasAny) {
       ingHtml += `<div class="bi-row__empty">No matches found</div>`;
@@ -357,11 +697,12 @@ function renderBasketResults(ingredients, stores) {
       ingHtml += `<div class="bi-row__stores">`;
 
       const storesWithProduct = Object.entries(selections)
-        .sort((a, b) => bestPrice(a[1]) - bestPrice(b[1]));
+        .sort((a, b) => lineCost(a[1]) - lineCost(b[1]));
 
       storesWithProduct.forEach(([store, product], idx) => {
         const isCheap    = idx === 0;
         const hasLoyalty = product.loyaltyPrice && product.loyaltyPrice < product.price;
+        const packs      = product.packs || 1;
 
         let priceHtml = `£${product.price.toFixed(2)}`;
         let loyaltyHtml = "";
@@ -369,11 +710,18 @@ function renderBasketResults(ingredients, stores) {
           priceHtml = `<span class="bi-store__price--struck">£${product.price.toFixed(2)}</span>`;
           loyaltyHtml = `<span class="bi-loyalty-badge bi-loyalty-badge--${(product.loyaltyScheme || "").toLowerCase()}">${esc(product.loyaltyScheme)}</span> £${product.loyaltyPrice.toFixed(2)}`;
         }
+        // e.g. "2 packs = £6.00", with a "?" when the pack size couldn't be read
+        const guessed   = product.packsExact === false;
+        const packsHtml = (packs > 1 || guessed)
+          ? `<span class="bi-store__packs" title="${guessed ? "Pack size unknown — check the quantity" : "Packs needed"}">${packs} ${packs === 1 ? "pack" : "packs"}${guessed ? "?" : ""} = £${lineCost(product).toFixed(2)}</span>`
+          : "";
 
         ingHtml += `
           <div class="bi-store ${isCheap ? "bi-store--cheapest" : ""}">
             <span class="bi-store__name bi-store__name--${storeClass(store)}">${esc(store)}</span>
             <span class="bi-store__price">${priceHtml}${loyaltyHtml ? " " + loyaltyHtml : ""}</span>
+            ${packsHtml}
+            ${product.promotion ? `<span class="cmp-promo">${esc(product.promotion)}</span>` : ""}
             <span class="bi-store__product">${esc(product.name)}</span>
             ${product.weight ? `<span class="bi-store__weight">${esc(product.weight)}</span>` : ""}
           </div>
@@ -397,12 +745,14 @@ function renderBasketResults(ingredients, stores) {
     ingHtml += `</div>`;
   }
 
-  ingHtml += `<p class="basket-loyalty-note">* Tesco &amp; Sainsbury's totals include Clubcard/Nectar prices where available.</p>`;
+  ingHtml += `<p class="basket-loyalty-note">* Tesco &amp; Sainsbury's totals include Clubcard/Nectar prices where available, and every store's total includes multi-buy offers on the packs you need.</p>`;
   basketIngredients.innerHTML = ingHtml;
 }
 
 function resetBasket() {
   basketSelections = {};
+  basketNeeds = {};
+  basketRun = null;
   basketResults.hidden = true;
   basketProgress.hidden = true;
   basketError.hidden = true;
@@ -419,6 +769,11 @@ function bestPrice(p) {
   return (p.loyaltyPrice && p.loyaltyPrice < p.price) ? p.loyaltyPrice : p.price;
 }
 
+/** What a basket line costs at one store — best price times the packs needed */
+function lineCost(p) {
+  return bestPrice(p) * (p.packs || 1);
+}
+
 /** Effective unit cost for compare table sorting — prefers per-100g for fair size comparison */
 function effectiveUnitCost(p) {
   // per100g is already loyalty-adjusted by the server — use directly
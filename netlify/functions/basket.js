@@ -0,0 +1,156 @@
+/**
+ * Cozzie Livs Calc — basket function
+ *
+ *   POST /api/basket { items, stores } → NDJSON stream, one line per ingredient as it finishes
+ *
+ * Runs the same compare as /api/search?compare=1 for a whole ingredient list.
+ * Basket lines can carry quantities ("2x 500g mince", "12 eggs", netlify/lib/quantity.js):
+ * only the core query is searched, and each store price says how many packs to buy.
+ * Store prices also carry `offer`, the promotion text parsed into something the
+ * basket can price (netlify/lib/promotion.js).
+ *
+ * Wrapped in stream() so lines reach the page as they're written; that needs the
+ * Netlify (Lambda) runtime, which is why this isn't a route of search.js.
+ */
+
+const { PassThrough } = require("stream");
+const { stream } = require("@netlify/functions");
+const { summarizeTrace } = require("../lib/cache");
+const { cache, compareQuery } = require("../lib/trolley");
+const { parseBasketLine, describeNeed, packsNeeded } = require("../lib/quantity");
+
+const BASKET_MAX_ITEMS = 40;
+const BASKET_CONCURRENCY = 3;       // ingredients compared at once
+
+
+// ─── Main Handler ────────────────────────────────────────────────
+
+exports.handler = stream(async (event) => {
+  if (event.httpMethod !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  cache.connect(event);
+  return handleBasket(event);
+});
+
+
+/**
+ * Runs compare for every ingredient, BASKET_CONCURRENCY at a time, and streams
+ * one NDJSON line per event so the page can tick items off as they land:
+ *   { type: "start", total, stores }
+ *   { type: "searching", index, query }
+ *   { type: "result", index, query, need, storePrices, cache }
+ *   { type: "error", index, query, error }      (no index: the whole batch failed)
+ *   { type: "done", total, failed }
+ * `query` is the line with its quantity taken out, `need` the parsed quantity
+ * (plus a short `label`), and each store price (limited to `stores`) gains
+ * `packs` / `packsExact`: how many of that product cover the line.
+ */
+async function handleBasket(event) {
+  let payload;
+  try {
+    const raw = event.isBase64Encoded
+      ? Buffer.from(event.body || "", "base64").toString("utf8")
+      : (event.body || "");
+    payload = JSON.parse(raw);
+  } catch (err) {
+    payload = null;
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return json(400, { error: "Body must be JSON: { \"items\": [...], \"stores\": [...] }" });
+  }
+
+  // Anything else would be searched as "null" or "[object Object]", or quietly mean every store
+  if (!Array.isArray(payload.items) || payload.items.some(item => typeof item !== "string")) {
+    return json(400, { error: "\"items\" must be a list of strings" });
+  }
+  if (!Array.isArray(payload.stores) || payload.stores.some(store => typeof store !== "string")) {
+    return json(400, { error: "\"stores\" must be a list of store names (empty for all)" });
+  }
+
+  const items = payload.items.map(item => item.trim()).filter(Boolean);
+  const stores = payload.stores;
+
+  if (items.length === 0) return json(400, { error: "Provide at least one item" });
+  if (items.length > BASKET_MAX_ITEMS) return json(400, { error: `At most ${BASKET_MAX_ITEMS} items per basket` });
+  if (items.some(item => item.length > 120)) return json(400, { error: "Invalid item" });
+
+  console.log(`[basket] ${items.length} items, stores: ${stores.join(", ") || "all"}`);
+
+  const out = new PassThrough();
+  const send = (message) => out.write(JSON.stringify(message) + "\n");
+
+  send({ type: "start", total: items.length, stores });
+
+  // Not awaited: the response starts streaming while the items are compared
+  mapWithConcurrency(items, BASKET_CONCURRENCY, async (item, index) => {
+    const need = parseBasketLine(item);
+    const query = need.query;
+    send({ type: "searching", index, query });
+    const trace = [];
+    try {
+      const result = await compareQuery(query, trace, need);
+      const storePrices = (stores.length > 0
+        ? result.storePrices.filter(sp => stores.includes(sp.store))
+        : result.storePrices
+      ).map((sp) => {
+        const { packs, exact } = packsNeeded(need, sp);
+        return { ...sp, packs, packsExact: exact };
+      });
+      send({
+        type: "result", index, query,
+        need: { ...need, label: describeNeed(need) },
+        storePrices,
+        cache: summarizeTrace(trace),
+      });
+      return true;
+    } catch (err) {
+      console.log(`[basket] "${query}" failed: ${err.message}`);
+      send({ type: "error", index, query, error: err.message });
+      return false;
+    }
+  }).then((results) => {
+    send({ type: "done", total: items.length, failed: results.filter(ok => !ok).length });
+  }).catch((err) => {
+    // Without a last line and end() the page would wait on the stream until it times out
+    console.log(`[basket] failed: ${err.message}`);
+    send({ type: "error", error: err.message });
+  }).finally(() => out.end());
+
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Cache-Control": "no-cache",
+    },
+    body: out,
+  };
+}
+
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+/** Run `fn` over `items` with at most `limit` in flight; results keep input order. */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-cache" },
+    body: JSON.stringify(body),
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Cozzie Livs Calc — cross-request cache
+ *
+ * Key/value cache shared by the Netlify functions, so repeat searches don't
+ * go back to Trolley (or the AI) every time. Each kind of entry has its own TTL,
+ * and entries past it are still served for a while as stale while a fresh copy
+ * is fetched in the background (stale-while-revalidate):
+ *
+ *   listing  parsed explore/search page, by URL      fresh 15 min, then stale for 6 h
+ *   product  parsed product detail page, by code     fresh 1 h,    then stale for 24 h
+ *   ai       AI candidate selection, by query+codes  fresh 7 days, then stale for 30 days
+ *
+ * Backends (CALC_CACHE env var):
+ *   auto     Netlify Blobs when the function is invoked with a blobs context, else memory (default)
+ *   blobs    Netlify Blobs — shared across function instances
+ *   fs       JSON files under CALC_CACHE_DIR (default .cache/calc) — survives restarts locally
+ *   memory   per-instance Map — lasts as long as the warm function instance
+ *   off      no caching, every lookup is a miss
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const TTL = {
+  listing: { fresh: 15 * MINUTE, stale: 6 * HOUR },
+  product: { fresh: HOUR, stale: DAY },
+  ai: { fresh: 7 * DAY, stale: 30 * DAY },
+};
+
+const BLOB_STORE_NAME = "calc-cache";
+
+
+// ─── Cache ───────────────────────────────────────────────────────
+
+/**
+ * Create a cache. Options (all optional, mostly for tests):
+ *   backend  one of the backends above (default: CALC_CACHE env var, then "auto")
+ *   dir      directory for the fs backend
+ *   now      clock function, default Date.now
+ */
+function createCache(options = {}) {
+  const backend = options.backend || process.env.CALC_CACHE || "auto";
+  const now = options.now || Date.now;
+  const revalidating = new Map();
+
+  let store = createStore(backend === "auto" ? "memory" : backend, options);
+
+  /**
+   * Call at the start of each invocation with the Lambda-style event.
+   * Netlify passes the Blobs credentials on the event, so that's where the
+   * "auto" and "blobs" backends get connected.
+   */
+  function connect(event) {
+    if (backend !== "auto" && backend !== "blobs") return;
+    if (!event || !event.blobs) return;
+    try {
+      const { connectLambda } = require("@netlify/blobs");
+      connectLambda(event);
+      if (store.name !== "blobs") store = createStore("blobs", options);
+    } catch (err) {
+      console.log(`[cache] Netlify Blobs unavailable (${err.message}), using ${store.name}`);
+    }
+  }
+
+  /**
+   * Return the cached value for (kind, key), calling `loader` on a miss.
+   * Stale entries are returned straight away and refreshed in the background.
+   * A loader that throws (or returns null/undefined) leaves the cache untouched.
+   * Each lookup is appended to `trace` as { kind, key, status: "hit"|"stale"|"miss" }.
+   */
+  async function get(kind, key, loader, trace = []) {
+    const ttl = TTL[kind];
+    if (!ttl) throw new Error(`Unknown cache kind "${kind}"`);
+
+    const storeKey = `${kind}/${hashKey(key)}`;
+    let entry = null;
+    try {
+      entry = await store.get(storeKey);
+    } catch (err) {
+      console.log(`[cache] read ${storeKey} failed: ${err.message}`);
+    }
+
+    const age = entry ? now() - entry.storedAt : Infinity;
+
+    if (age <= ttl.fresh) {
+      trace.push({ kind, key, status: "hit", age });
+      return entry.value;
+    }
+
+    if (age <= ttl.fresh + ttl.stale) {
+      trace.push({ kind, key, status: "stale", age });
+      revalidate(storeKey, key, loader);
+      return entry.value;
+    }
+
+    trace.push({ kind, key, status: "miss" });
+    const value = await loader();
+    await write(storeKey, key, value);
+    return value;
+  }
+
+  // In a function the refresh finishes while the instance stays warm; if it's
+  // frozen first, the entry just stays stale until the next request retries
+  function revalidate(storeKey, key, loader) {
+    if (revalidating.has(storeKey)) return;
+
+    const job = Promise.resolve()
+      .then(loader)
+      .then(value => write(storeKey, key, value))
+      .catch(err => console.log(`[cache] revalidate ${storeKey} failed: ${err.message}`))
+      .finally(() => revalidating.delete(storeKey));
+
+    revalidating.set(storeKey, job);
+  }
+
+  async function write(storeKey, key, value) {
+    if (value === null || value === undefined) return;
+    try {
+      await store.set(storeKey, { key, storedAt: now(), value });
+    } catch (err) {
+      console.log(`[cache] write ${storeKey} failed: ${err.message}`);
+    }
+  }
+
+  /** Wait for any background refreshes (for tests and local scripts). */
+  function settle() {
+    return Promise.all(revalidating.values());
+  }
+
+  return {
+    connect,
+    get,
+    settle,
+    get backend() { return store.name; },
+  };
+}
+
+/**
+ * Summarise a request's lookups for the X-Cache header:
+ * MISS if anything went upstream, STALE if anything was served stale, else HIT.
+ */
+function summarizeTrace(trace) {
+  if (trace.length === 0) return null;
+  if (trace.some(t => t.status === "miss")) return "MISS";
+  if (trace.some(t => t.status === "stale")) return "STALE";
+  return "HIT";
+}
+
+
+// ─── Stores ──────────────────────────────────────────────────────
+
+function createStore(name, options) {
+  switch (name) {
+    case "memory": return memoryStore();
+    case "fs": return fsStore(options.dir || process.env.CALC_CACHE_DIR || path.join(process.cwd(), ".cache", "calc"));
+    case "blobs": return blobStore();
+    case "off": return offStore();
+    default: throw new Error(`Unknown cache backend "${name}" (use auto, blobs, fs, memory or off)`);
+  }
+}
+
+function memoryStore() {
+  const entries = new Map();
+  return {
+    name: "memory",
+    async get(key) { return entries.get(key) || null; },
+    async set(key, entry) { entries.set(key, entry); },
+  };
+}
+
+function fsStore(dir) {
+  const file = key => path.join(dir, `${key}.json`);
+  return {
+    name: "fs",
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(file(key), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async set(key, entry) {
+      await fs.promises.mkdir(path.dirname(file(key)), { recursive: true });
+      await fs.promises.writeFile(file(key), JSON.stringify(entry));
+    },
+  };
+}
+
+function blobStore() {
+  const { getStore } = require("@netlify/blobs");
+  const store = getStore({ name: BLOB_STORE_NAME, consistency: "eventual" });
+  return {
+    name: "blobs",
+    async get(key) { return (await store.get(key, { type: "json" })) || null; },
+    async set(key, entry) { await store.setJSON(key, entry); },
+  };
+}
+
+function offStore() {
+  return {
+    name: "off",
+    async get() { return null; },
+    async set() {},
+  };
+}
+
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+/** Keys can be URLs or free text, so store them under a fixed-length hash. */
+function hashKey(key) {
+  return crypto.createHash("sha1").update(String(key)).digest("hex");
+}
+
+module.exports = { createCache, summarizeTrace, TTL };
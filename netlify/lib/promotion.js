@@ -0,0 +1,81 @@
+/**
+ * Cozzie Livs Calc — promotions
+ *
+ * Turns the promotion text Trolley shows next to a store price into a
+ * structured offer the basket can do sums with:
+ *
+ *   "3 FOR £5", "ANY 2 FOR £4"        → { type: "multiprice", qty, price }
+ *   "BUY 1 GET 1 FREE", "3 FOR 2"     → { type: "buyget", buy, get }
+ *   "HALF PRICE", "25% OFF"           → { type: "percent", percent, qty: 1 }
+ *   "BUY 2 SAVE 20%"                  → { type: "percent", percent, qty: 2 }
+ *   "BUY 2 SAVE £1"                   → { type: "amountoff", amount, qty: 2 }
+ *
+ * Every offer also carries:
+ *   text     the original promotion text
+ *   any      true for "ANY ..." mix-and-match offers (pooled across products in the store)
+ *   scheme   "Clubcard" / "Nectar" when only loyalty members get it, else null
+ *
+ * Basket totals already assume loyalty prices, so loyalty-only offers are
+ * applied like any other; `scheme` is there to label them.
+ */
+
+// What parseProductPage() picks out of a store's "Where To Buy" segment. A
+// "Clubcard Price" straight after a £ amount labels that price, not the offer.
+const PROMOTION_RE = /((?:(?<!£[\d.]+\s*)(?:Clubcard|Nectar)\s+Price:?\s+)?(?:ANY\s+)?\d+\s+FOR\s+£[\d.]+|(?:ANY\s+)?\d+\s+FOR\s+\d+\b|BUY\s+\d+\s+GET\s+\d+\s+(?:FREE|HALF\s+PRICE)|BUY\s+\d+\s+SAVE\s+(?:\d+%|£[\d.]+)|BUY\s+\d+.+?SAVE|HALF\s+PRICE|\d+%\s+OFF)/i;
+
+/** Structured offer for a promotion string, or null if it isn't one we can price. */
+function parsePromotion(text) {
+  if (!text) return null;
+  const clean = String(text).replace(/\s+/g, " ").trim();
+  const upper = clean.toUpperCase();
+
+  const schemeMatch = clean.match(/\b(Clubcard|Nectar)\b/i);
+  const base = {
+    text: clean,
+    any: /\bANY\b/.test(upper),
+    scheme: schemeMatch ? schemeMatch[1][0].toUpperCase() + schemeMatch[1].slice(1).toLowerCase() : null,
+  };
+
+  let m;
+  if ((m = upper.match(/(\d+)\s+FOR\s+£\s*([\d.]+)/))) {
+    const qty = parseInt(m[1], 10);
+    const price = parseFloat(m[2]);
+    if (qty >= 2 && price > 0) return { ...base, type: "multiprice", qty, price };
+  }
+
+  // "3 FOR 2" is buy 2 get 1 free
+  if ((m = upper.match(/(\d+)\s+FOR\s+(\d+)\b/))) {
+    const qty = parseInt(m[1], 10);
+    const paid = parseInt(m[2], 10);
+    if (qty > paid && paid >= 1) return { ...base, type: "buyget", buy: paid, get: qty - paid };
+  }
+
+  if ((m = upper.match(/BUY\s+(\d+)\s+GET\s+(\d+)\s+(FREE|HALF\s+PRICE)/))) {
+    const buy = parseInt(m[1], 10);
+    const get = parseInt(m[2], 10);
+    if (buy >= 1 && get >= 1) {
+      // Buy X get Y half price works out as a percentage off the whole set
+      if (m[3] !== "FREE") return { ...base, type: "percent", percent: (50 * get) / (buy + get), qty: buy + get };
+      return { ...base, type: "buyget", buy, get };
+    }
+  }
+
+  if ((m = upper.match(/BUY\s+(\d+)\s+SAVE\s+(\d+)%/))) {
+    return { ...base, type: "percent", percent: parseInt(m[2], 10), qty: parseInt(m[1], 10) };
+  }
+
+  if ((m = upper.match(/BUY\s+(\d+)\s+SAVE\s+£\s*([\d.]+)/))) {
+    return { ...base, type: "amountoff", amount: parseFloat(m[2]), qty: parseInt(m[1], 10) };
+  }
+
+  if (/HALF\s+PRICE/.test(upper)) return { ...base, type: "percent", percent: 50, qty: 1 };
+
+  if ((m = upper.match(/(\d+)%\s+OFF/))) {
+    const percent = parseInt(m[1], 10);
+    if (percent > 0 && percent < 100) return { ...base, type: "percent", percent, qty: 1 };
+  }
+
+  return null;
+}
+
+module.exports = { parsePromotion, PROMOTION_RE };
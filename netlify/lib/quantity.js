@@ -0,0 +1,197 @@
+/**
+ * Cozzie Livs Calc — quantities
+ *
+ * Reads how much of something a basket line asks for, and how many packs of a
+ * given product that comes to:
+ *
+ *   "2x 500g mince"              → 2 × 500g of "mince"      (1kg in total)
+ *   "2 x tins chopped tomatoes"  → 2 packs of "chopped tomatoes"
+ *   "500ml cream x2"             → 2 × 500ml of "cream"
+ *   "1kg chicken thighs"         → 1000g of "chicken thighs"
+ *   "12 eggs"                    → 12 of "eggs"             (packs depend on the pack count)
+ *   "2x 6 pack yogurts"          → 12 of "yogurts"
+ *   "milk"                       → 1 pack of "milk"
+ *
+ * Weights and volumes are compared in grams / millilitres, the same units
+ * computePer100g() prices in.
+ */
+
+const WEIGHT_RE = /(\d+(?:\.\d+)?)\s*(kg|g|ml|l|pt|pints?|litres?|liters?)\b/i;
+
+// "2 tins of", "3 packs of" — the count is a number of packs, and the word isn't part of the search
+const CONTAINER_RE = /^(?:tins?|cans?|packs?|packets?|bags?|bottles?|jars?|boxes?|cartons?|tubs?|pots?|bunch(?:es)?|loaf|loaves)\b\s*(?:of\s+)?/i;
+
+// Multiplier at the start of a line: "2x", "2 x", "x2", "2 *"
+const MULTIPLIER_RE = /^(?:(\d+)\s*[x×*]\s*|[x×]\s*(\d+)\s+)/i;
+
+// ...or at the end: "500ml cream x2", "cream × 2"
+const TRAILING_MULTIPLIER_RE = /\s+[x×]\s*(\d+)$/i;
+
+// Pack size: "6 pack yogurts", "4pk crumpets" — how many items the line wants in
+// one pack, not a number of packs ("1 pack of sausages" is a container below)
+const PACK_SIZE_RE = /^(\d+)\s*(?:pack|pk)\b(?!\s+of\b)\s*/i;
+
+// Bare leading count: "12 eggs", "6 bananas"
+const COUNT_RE = /^(\d+)\s+(?=\D)/;
+
+// Pack count in a product name or weight: "x12", "12 pack", "pack of 6"
+const PACK_COUNT_RE = /(?:\b[x×]\s*(\d+)\b|\b(\d+)\s*(?:pack|pk|per pack)\b|\bpack of (\d+)\b)/i;
+
+
+// ─── Lines ───────────────────────────────────────────────────────
+
+/**
+ * Parse one basket line. Returns:
+ *   { line, query, packs, amount, count }
+ *     query   what to search for, with the quantity words taken out
+ *     packs   multiplier ("2x", "x2" at the end, "2 tins") — default 1
+ *     amount  { value, base: "g"|"ml", text } per pack, or null
+ *     count   number of items asked for ("12 eggs"), or null
+ */
+function parseBasketLine(line) {
+  let rest = String(line).trim().replace(/\s+/g, " ");
+  let packs = 1;
+  let amount = null;
+  let count = null;
+
+  let mult = rest.match(MULTIPLIER_RE);
+  if (mult) {
+    packs = parseInt(mult[1] || mult[2], 10);
+    rest = rest.slice(mult[0].length);
+  } else if ((mult = rest.match(TRAILING_MULTIPLIER_RE))) {
+    packs = parseInt(mult[1], 10);
+    rest = rest.slice(0, mult.index);
+  }
+
+  const wm = rest.match(WEIGHT_RE);
+  if (wm) {
+    amount = { ...parseWeight(`${wm[1]}${wm[2]}`), text: wm[0].trim() };
+    rest = (rest.slice(0, wm.index) + rest.slice(wm.index + wm[0].length)).replace(/^\s*of\s+/i, "");
+  }
+
+  const pm = !amount && rest.match(PACK_SIZE_RE);
+  if (pm) {
+    count = parseInt(pm[1], 10) * packs;
+    packs = 1;
+    rest = rest.slice(pm[0].length);
+  } else if (!mult && !amount) {
+    const cm = rest.match(COUNT_RE);
+    if (cm) {
+      const n = parseInt(cm[1], 10);
+      rest = rest.slice(cm[0].length);
+      // "2 tins tomatoes" counts packs; "12 eggs" counts items
+      if (CONTAINER_RE.test(rest)) packs = n;
+      else count = n;
+    }
+  }
+
+  rest = rest.replace(CONTAINER_RE, "");
+  const query = rest.replace(/\s+/g, " ").trim() || String(line).trim();
+
+  return { line: String(line).trim(), query, packs: Math.max(packs, 1), amount, count };
+}
+
+/** Short description of what a parsed line needs, e.g. "2 × 500g", "12", "1kg". */
+function describeNeed(need) {
+  if (need.amount) {
+    const size = need.amount.text;
+    return need.packs > 1 ? `${need.packs} × ${size}` : size;
+  }
+  if (need.count) return String(need.count);
+  return need.packs > 1 ? `${need.packs} packs` : null;
+}
+
+
+// ─── Packs ───────────────────────────────────────────────────────
+
+/**
+ * How many packs of `product` ({ name, weight }) cover `need`.
+ * Returns { packs, exact } — exact is false when the pack size couldn't be
+ * read (or is in different units) and the line's own count was used instead.
+ */
+function packsNeeded(need, product) {
+  if (need.amount) {
+    const pack = parseWeight(product.weight);
+    if (!pack || pack.base !== need.amount.base) return { packs: need.packs, exact: false };
+    const total = need.amount.value * need.packs;
+    // Small tolerance so 4 × 250g covers "1kg"
+    return { packs: Math.max(1, Math.ceil(total / pack.value - 0.01)), exact: true };
+  }
+
+  if (need.count) {
+    const perPack = parsePackCount(product.name) || parsePackCount(product.weight);
+    if (!perPack) return { packs: 1, exact: false };
+    return { packs: Math.max(1, Math.ceil(need.count / perPack)), exact: true };
+  }
+
+  return { packs: need.packs, exact: true };
+}
+
+/**
+ * What covering `need` with `product` costs at `price` (its best price):
+ *   { packs, exact, spend, per100g }   spend = packs × price
+ * per100g (computePer100g()) is the value of what you get, for telling apart
+ * products that cost the same to buy.
+ */
+function costForNeed(need, product, price) {
+  const { packs, exact } = packsNeeded(need, product);
+  return { packs, exact, spend: packs * price, per100g: computePer100g(price, product.weight) };
+}
+
+/**
+ * Order costForNeed() results cheapest first: a known pack size beats a guess,
+ * then the lowest spend, then the lowest price per 100g.
+ */
+function compareCosts(a, b) {
+  if (a.exact !== b.exact) return a.exact ? -1 : 1;
+  if (Math.abs(a.spend - b.spend) > 0.005) return a.spend - b.spend;
+  return (a.per100g ?? Infinity) - (b.per100g ?? Infinity);
+}
+
+/** True when the line asks for an amount or count, so pack sizes matter */
+function hasQuantity(need) {
+  return Boolean(need && (need.amount || need.count));
+}
+
+/** Items per pack from a name like "Free Range Eggs x12" or "Crumpets 6 Pack", or null. */
+function parsePackCount(text) {
+  if (!text) return null;
+  const m = String(text).match(PACK_COUNT_RE);
+  if (!m) return null;
+  const n = parseInt(m[1] || m[2] || m[3], 10);
+  return n > 0 ? n : null;
+}
+
+
+// ─── Weights ─────────────────────────────────────────────────────
+
+/** "500g" → { value: 500, base: "g" }, "2l" → { value: 2000, base: "ml" }; null if unreadable. */
+function parseWeight(weight) {
+  if (!weight) return null;
+  const m = String(weight).trim().match(/^([\d.]+)\s*(g|kg|ml|l|pt|pints?|litres?|liters?)$/i);
+  if (!m) return null;
+  let value = parseFloat(m[1]);
+  const unit = m[2].toLowerCase();
+  if (!(value > 0)) return null;
+
+  if (unit === "kg") return { value: value * 1000, base: "g" };
+  if (unit === "g") return { value, base: "g" };
+  if (unit === "ml") return { value, base: "ml" };
+  if (unit.startsWith("p")) value *= 568; // 1 pint ≈ 568ml
+  else value *= 1000;                     // l, litre(s)
+  return { value, base: "ml" };
+}
+
+/** Returns price per 100g (or per 100ml), or null if weight can't be parsed. */
+function computePer100g(price, weight) {
+  if (!price || !weight) return null;
+  const parsed = parseWeight(weight);
+  if (!parsed) return null;
+  if (parsed.value < 5 || parsed.value > 50000) return null; // sanity check
+  return (price / parsed.value) * 100;
+}
+
+module.exports = {
+  parseBasketLine, describeNeed, packsNeeded, costForNeed, compareCosts, hasQuantity,
+  parsePackCount, parseWeight, computePer100g,
+};
@@ -4,13 +4,206 @@
 
 let allGames = [];
 let allPlayers = new Set();
+let allSeasons = [];
 const COLOR_POOL = [
     '#008080', '#cf002dff', '#e98935ff', '#AE93E5', '#8b9ad9',
     '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
     '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B195', '#C06C84'
 ];
+let playerRegistry = [];
 let playerColors = {};
-let gameColors = {};
+let gameRegistry = [];
+let dataIssues = [];
+let historyFilter = null;
+let historyView = { query: '', sort: 'newest', group: 'none', page: 1 };
+let highlightedGame = null;
+const expandedGames = new Set();
+let filters = { from: '', to: '', season: null, games: null, players: null, hideRetired: false };
+let standingsMode = 'mahbles';
+let replay = { step: 0, playing: false, speed: 1, timer: null };
+let lineMode = 'history';
+let forecastTarget = null;
+let selectedPlayer = null;
+let dataCachedAt = null;
+let backgroundRefreshTimer = null;
+const chartInstances = {};
+const BACKGROUND_REFRESH_MS = 2 * 60 * 1000;
+const HISTORY_PAGE_SIZE = 10;
+const REPLAY_STEP_MS = 1200;
+const FORECAST_RUNS = 1000;
+const FORECAST_HORIZON_WEEKS = 104;
+const FORECAST_WEEKS_SHOWN = 12;
+const THEMES = ['auto', 'dark', 'light', 'high-contrast'];
+const THEME_STORAGE_KEY = 'mahbles-theme';
+let themeChoice = 'auto';
+// Chart colors, read from the --chart-* custom properties in style.css by applyTheme()
+let chartTheme = {
+    text: '#e0e0e0',
+    textMuted: '#c0c0c0',
+    grid: 'rgba(255, 255, 255, 0.1)',
+    background: '#1e1e1e',
+    minContrast: 3
+};
+const contrastCache = new Map();
+
+// ============================================
+// THEME (DARK / LIGHT / HIGH CONTRAST)
+// ============================================
+
+/** Saved choice, or 'auto' to follow prefers-color-scheme */
+function initTheme() {
+    try {
+        const saved = localStorage.getItem(THEME_STORAGE_KEY);
+        if (THEMES.includes(saved)) themeChoice = saved;
+    } catch (error) {
+        // Storage blocked (private mode etc.) — stay on auto
+    }
+
+    const select = document.getElementById('theme-select');
+    if (select) select.value = themeChoice;
+
+    applyTheme();
+
+    const query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+    if (query && query.addEventListener) {
+        query.addEventListener('change', () => {
+            if (themeChoice === 'auto') refreshTheme();
+        });
+    }
+}
+
+function setTheme(choice) {
+    themeChoice = THEMES.includes(choice) ? choice : 'auto';
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, themeChoice);
+    } catch (error) {
+        // Not saved, but still applied for this visit
+    }
+    refreshTheme();
+}
+
+/** The theme actually shown: 'auto' resolves to light or dark from the OS setting */
+function getActiveTheme() {
+    if (themeChoice !== 'auto') return themeChoice;
+    const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+    return prefersLight ? 'light' : 'dark';
+}
+
+/** Set data-theme on <html> and pick up that theme's chart tokens */
+function applyTheme() {
+    const theme = getActiveTheme();
+    document.documentElement.setAttribute('data-theme', theme);
+
+    const styles = getComputedStyle(document.documentElement);
+    const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+    chartTheme = {
+        text: read('--chart-text', '#e0e0e0'),
+        textMuted: read('--chart-text-muted', '#c0c0c0'),
+        grid: read('--chart-grid', 'rgba(255, 255, 255, 0.1)'),
+        background: read('--chart-background', '#1e1e1e'),
+        minContrast: Number(read('--chart-min-contrast', '3'))
+    };
+    contrastCache.clear();
+}
+
+/** Re-theme after the page has rendered: charts and inline player/game colors */
+function refreshTheme() {
+    applyTheme();
+    if (allGames.length === 0) return;
+
+    renderFilterBar();
+    applyUrlFilters(readUrlState());
+    renderAllCharts();
+    renderGameHistory();
+    renderHallOfFame();
+    if (selectedPlayer) openPlayerProfile(selectedPlayer);
+}
+
+/**
+ * A registry color nudged toward white (dark themes) or black (light themes)
+ * until it reaches the theme's minimum contrast against the chart background.
+ * Colors that already pass, or that can't be parsed, come back unchanged.
+ */
+function ensureContrast(color) {
+    const key = `${color}|${chartTheme.background}|${chartTheme.minContrast}`;
+    if (contrastCache.has(key)) return contrastCache.get(key);
+
+    const rgb = parseColor(color);
+    const background = parseColor(chartTheme.background);
+    let result = color;
+
+    if (rgb && background && contrastRatio(rgb, background) < chartTheme.minContrast) {
+        const target = relativeLuminance(background) < 0.5 ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 };
+        let adjusted = rgb;
+        for (let step = 1; step <= 20 && contrastRatio(adjusted, background) < chartTheme.minContrast; step++) {
+            adjusted = mixColors(rgb, target, step / 20);
+        }
+        result = toHex(adjusted);
+    }
+
+    contrastCache.set(key, result);
+    return result;
+}
+
+/** #rgb, #rrggbb, #rrggbbaa, rgb()/rgba() or hsl() → { r, g, b } (alpha ignored), else null */
+function parseColor(color) {
+    const value = String(color).trim().toLowerCase();
+
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16)
+        };
+    }
+
+    const rgb = value.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)/);
+    if (rgb) {
+        return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) };
+    }
+
+    const hsl = value.match(/^hsla?\(\s*([\d.]+)(?:deg)?[,\s]+([\d.]+)%[,\s]+([\d.]+)%/);
+    if (hsl) {
+        const h = Number(hsl[1]) % 360;
+        const sat = Number(hsl[2]) / 100;
+        const light = Number(hsl[3]) / 100;
+        const k = n => (n + h / 30) % 12;
+        const a = sat * Math.min(light, 1 - light);
+        const f = n => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+    }
+
+    return null;
+}
+
+/** WCAG 2 relative luminance */
+function relativeLuminance({ r, g, b }) {
+    const channel = value => {
+        const c = value / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+function mixColors(from, to, amount) {
+    return {
+        r: Math.round(from.r + (to.r - from.r) * amount),
+        g: Math.round(from.g + (to.g - from.g) * amount),
+        b: Math.round(from.b + (to.b - from.b) * amount)
+    };
+}
+
+function toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
 
 // ============================================
 // DATA LOADING
@@ -18,21 +211,33 @@ let gameColors = {};
 
 async function loadGames() {
     try {
-        // Try aggregated file first
+        dataCachedAt = null;
+
+        // Try aggregated file first (built by scripts/build-mahbles.js)
         const response = await fetch('mahbles-all.json');
         if (response.ok) {
+            noteDataFreshness(response);
             allGames = await response.json();
         } else {
             await loadIndividualGames();
         }
         
-        await loadPlayerColors();
-        await loadGameColors();
+        await loadPlayerRegistry();
+        await loadGameRegistry();
         normalizeData();
-        validateData();
         discoverPlayers();
+        buildSeasons();
+        validateData();
+        renderDataIssues();
+        renderFilterBar();
+
+        const urlState = readUrlState();
+        applyUrlFilters(urlState);
         renderAllCharts();
         renderGameHistory();
+        renderHallOfFame();
+        applyUrlView(urlState);
+        renderStaleBanner();
     } catch (error) {
         console.error('Error loading games:', error);
         useDefaultData();
@@ -41,34 +246,94 @@ async function loadGames() {
 
 async function loadIndividualGames() {
     const response = await fetch('https://api.github.com/repos/georglynx/georglynx.github.io/contents/mahbles-data');
+    noteDataFreshness(response);
     const files = await response.json();
     
     const gamePromises = files
         .filter(file => file.name.endsWith('.json'))
-        .map(file => fetch(file.download_url).then(r => r.json()));
+        .map(file => fetch(file.download_url).then(r => {
+            noteDataFreshness(r);
+            return r.json();
+        }));
     
     allGames = await Promise.all(gamePromises);
 }
 
-async function loadPlayerColors() {
+// ============================================
+// OFFLINE / STALE DATA
+// ============================================
+
+/**
+ * sw.js stamps cached game data with X-Cached-At. Network responses don't have
+ * it, so seeing one means we're showing the last good copy. Keep the oldest.
+ */
+function noteDataFreshness(response) {
+    const cachedAt = response.headers.get('X-Cached-At');
+    if (cachedAt && (!dataCachedAt || cachedAt < dataCachedAt)) {
+        dataCachedAt = cachedAt;
+    }
+}
+
+function renderStaleBanner() {
+    const banner = document.getElementById('stale-banner');
+    if (!banner) return;
+
+    if (!dataCachedAt) {
+        banner.hidden = true;
+        return;
+    }
+
+    document.getElementById('stale-banner-date').textContent = new Date(dataCachedAt).toLocaleString();
+    banner.hidden = false;
+    scheduleBackgroundRefresh();
+}
+
+/** While the data is stale, keep retrying quietly until a fresh copy loads */
+function scheduleBackgroundRefresh() {
+    clearTimeout(backgroundRefreshTimer);
+    backgroundRefreshTimer = setTimeout(() => {
+        if (navigator.onLine === false) {
+            scheduleBackgroundRefresh();
+        } else {
+            loadGames();
+        }
+    }, BACKGROUND_REFRESH_MS);
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.log('Service worker registration failed:', error);
+    });
+
+    window.addEventListener('online', () => {
+        if (dataCachedAt) loadGames();
+    });
+}
+
+async function loadPlayerRegistry() {
     try {
-        const response = await fetch('player-colors.json');
+        const response = await fetch('player-registry.json');
         if (response.ok) {
-            playerColors = await response.json();
+            playerRegistry = (await response.json()).players || [];
+            playerColors = Object.fromEntries(
+                playerRegistry.filter(entry => entry.color).map(entry => [entry.name, entry.color])
+            );
         }
     } catch (error) {
-        console.log('No player-colors.json found, will use defaults');
+        console.log('No player-registry.json found, will use defaults');
     }
 }
 
-async function loadGameColors() {
+async function loadGameRegistry() {
     try {
-        const response = await fetch('game-colors.json');
+        const response = await fetch('game-registry.json');
         if (response.ok) {
-            gameColors = await response.json();
+            gameRegistry = (await response.json()).games || [];
         }
     } catch (error) {
-        console.log('No game-colors.json found, will use defaults');
+        console.log('No game-registry.json found, will use defaults');
     }
 }
 
@@ -79,36 +344,111 @@ async function loadGameColors() {
 function normalizeData() {
     allGames = allGames.map(game => ({
         ...game,
+        sequence: game.sequence || 1,
         game: normalizeGameName(game.game),
         changes: game.changes.map(change => ({
             ...change,
             player: normalizePlayerName(change.player)
+        })),
+        stake: game.stake || 1,
+        sideBets: (game.sideBets || []).map(bet => ({
+            ...bet,
+            winner: normalizePlayerName(bet.winner),
+            loser: normalizePlayerName(bet.loser)
+        })),
+        forgiven: (game.forgiven || []).map(entry => ({
+            ...entry,
+            creditor: normalizePlayerName(entry.creditor),
+            debtor: normalizePlayerName(entry.debtor)
         }))
     }));
     
-    // Sort by date
-    allGames.sort((a, b) => new Date(a.date) - new Date(b.date));
+    // Sort by date, then by game number within the day (a missing number is
+    // game 1, and two games claiming the same number are flagged as a data issue)
+    allGames.sort((a, b) => a.date.localeCompare(b.date) || a.sequence - b.sequence);
+}
+
+/** Date label for a game or snapshot, with "#n" when several games share the day */
+function formatGameDate(game) {
+    const sameDay = allGames.filter(g => g.date === game.date).length;
+    return sameDay > 1 ? `${game.date} #${game.sequence}` : game.date;
 }
 
+/** Resolve a player name or alias to its registry name ("DYL", "Dylan" → "Dyl") */
 function normalizePlayerName(name) {
-    return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+    const normalized = name.toLowerCase().trim();
+    const entry = playerRegistry.find(p =>
+        p.name.toLowerCase() === normalized ||
+        (p.aliases || []).some(alias => alias.toLowerCase() === normalized)
+    );
+    if (entry) return entry.name;
+
+    return normalized.charAt(0).toUpperCase() + normalized.slice(1);
+}
+
+/** Registry entry for a normalized player name (a bare stand-in for unregistered players) */
+function getPlayerInfo(player) {
+    return playerRegistry.find(entry => entry.name === player) || {
+        name: player,
+        aliases: [],
+        avatar: '',
+        joined: null,
+        active: true
+    };
+}
+
+function isRetired(player) {
+    return getPlayerInfo(player).active === false;
 }
 
+/** Resolve a game name or alias to its registry id ("TETR.IO", "tetr.io" → "tetrio") */
 function normalizeGameName(name) {
-    return name.toLowerCase().trim();
+    const normalized = name.toLowerCase().trim();
+    const entry = findGameEntry(normalized);
+    return entry ? entry.id : normalized;
 }
 
-function validateData() {
-    const dates = allGames.map(g => g.date);
-    const duplicates = dates.filter((date, index) => dates.indexOf(date) !== index);
-    if (duplicates.length > 0) {
-        console.warn('⚠️ Duplicate game dates found:', duplicates);
+function findGameEntry(normalizedName) {
+    return gameRegistry.find(entry =>
+        entry.id === normalizedName ||
+        entry.name.toLowerCase() === normalizedName ||
+        (entry.aliases || []).some(alias => alias.toLowerCase() === normalizedName)
+    );
+}
+
+/** Registry entry for a normalized game id (a bare stand-in for unregistered games) */
+function getGameInfo(game) {
+    return gameRegistry.find(entry => entry.id === game) || {
+        id: game,
+        name: game.charAt(0).toUpperCase() + game.slice(1),
+        aliases: [],
+        category: null,
+        icon: '🎲'
+    };
+}
+
+function getGameDisplayName(game) {
+    return getGameInfo(game).name;
+}
+
+/** One-line summary of a game's registry metadata, for tooltips */
+function describeGame(game) {
+    const info = getGameInfo(game);
+    const parts = [];
+    if (info.category) parts.push(`${info.category.charAt(0).toUpperCase() + info.category.slice(1)} game`);
+    if (info.minPlayers && info.maxPlayers) {
+        parts.push(info.minPlayers === info.maxPlayers
+            ? `${info.minPlayers} players`
+            : `${info.minPlayers}–${info.maxPlayers} players`);
     }
+    if (info.usualMahbles) parts.push(`usually ±${info.usualMahbles} mahbles`);
+    return parts.join(' · ');
 }
 
 function discoverPlayers() {
     allGames.forEach(game => {
-        game.changes.forEach(change => {
+        // Side bets can bring in players who aren't in the changes
+        getGameTransfers(game).actual.forEach(change => {
             allPlayers.add(change.player);
         });
     });
@@ -116,7 +456,7 @@ function discoverPlayers() {
 
 function getPlayerColor(player) {
     if (playerColors[player]) {
-        return playerColors[player];
+        return ensureContrast(playerColors[player]);
     }
 
     const usedColors = Object.values(playerColors);
@@ -128,40 +468,47 @@ function getPlayerColor(player) {
         playerColors[player] = '#' + Math.floor(Math.random()*16777215).toString(16);
     }
 
-    return playerColors[player];
+    return ensureContrast(playerColors[player]);
 }
 
 function getGameColor(game) {
-    const normalizedGame = game.toLowerCase();
+    const info = getGameInfo(game);
 
-    if (gameColors[normalizedGame]) {
-        return gameColors[normalizedGame];
+    if (info.color) {
+        return ensureContrast(info.color);
     }
 
     // Fallback to HSL color generation if no color is defined
     const uniqueGames = [...new Set(allGames.map(g => g.game))];
     const index = uniqueGames.indexOf(game);
     const hue = (index * 360 / uniqueGames.length);
-    return `hsl(${hue}, 70%, 60%)`;
+    return ensureContrast(`hsl(${hue}, 70%, 60%)`);
 }
 
 // ============================================
 // CALCULATE RUNNING TOTALS FROM DELTAS
 // ============================================
 
-function calculateRunningTotals() {
+function calculateRunningTotals(games = allGames, players = allPlayers) {
     const playerTotals = {};
     const history = [];
     
     // Initialize all players at 0
-    allPlayers.forEach(player => {
+    players.forEach(player => {
         playerTotals[player] = 0;
     });
     
     // Process each game chronologically
-    allGames.forEach(game => {
-        // Apply changes for this game
-        game.changes.forEach(change => {
+    games.forEach(game => {
+        // A reset closes the season: everyone starts again from what it hands out
+        if (game.game === 'reset') {
+            Object.keys(playerTotals).forEach(player => {
+                playerTotals[player] = 0;
+            });
+        }
+
+        // Apply what actually changed hands (stake, side bets and forgiveness included)
+        getGameTransfers(game).actual.forEach(change => {
             if (!playerTotals[change.player]) {
                 playerTotals[change.player] = 0;
             }
@@ -171,6 +518,7 @@ function calculateRunningTotals() {
         // Record snapshot after this game
         history.push({
             date: game.date,
+            sequence: game.sequence,
             game: game.game,
             totals: { ...playerTotals }
         });
@@ -179,218 +527,1165 @@ function calculateRunningTotals() {
     return history;
 }
 
+/** Standings rank for each player: 1 is the leader, tied totals share a rank */
+function getRanks(totals, players) {
+    const playerList = Array.from(players);
+    const ranks = {};
+    playerList.forEach(player => {
+        ranks[player] = 1 + playerList.filter(p => (totals[p] || 0) > (totals[player] || 0)).length;
+    });
+    return ranks;
+}
+
+/**
+ * Before/after standings for the game at `index` in `history` (snapshots from
+ * calculateRunningTotals). Rows come back in the new order:
+ *   [{ player, before, after, change, rankBefore, rankAfter, rankChange }]
+ * rankChange is positive for places gained.
+ */
+function calculateStandingsDiff(history, index, players) {
+    const playerList = Array.from(players);
+    const after = history[index].totals;
+    const before = index > 0 ? history[index - 1].totals : {};
+    const ranksBefore = getRanks(before, playerList);
+    const ranksAfter = getRanks(after, playerList);
+
+    return playerList
+        .map(player => ({
+            player,
+            before: before[player] || 0,
+            after: after[player] || 0,
+            change: (after[player] || 0) - (before[player] || 0),
+            rankBefore: ranksBefore[player],
+            rankAfter: ranksAfter[player],
+            rankChange: ranksBefore[player] - ranksAfter[player]
+        }))
+        .sort((a, b) => a.rankAfter - b.rankAfter || a.player.localeCompare(b.player));
+}
+
+/** "Jan ↓2 to 4th", "George ↑1 to 1st", "Syed stays 2nd" */
+function describeRankChange(row) {
+    if (row.rankChange > 0) return `${row.player} ↑${row.rankChange} to ${ordinal(row.rankAfter)}`;
+    if (row.rankChange < 0) return `${row.player} ↓${-row.rankChange} to ${ordinal(row.rankAfter)}`;
+    return `${row.player} stays ${ordinal(row.rankAfter)}`;
+}
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
 // ============================================
-// CHART 1: CURRENT STANDINGS (BAR)
+// WAGERS
 // ============================================
 
-function renderCurrentStandings() {
-    const ctx = document.getElementById('marbleBarChart');
-    if (!ctx) return;
-    
-    const history = calculateRunningTotals();
-    if (history.length === 0) return;
-    
-    const latestTotals = history[history.length - 1].totals;
-    
-    const standings = Array.from(allPlayers).map(player => ({
-        player,
-        score: latestTotals[player] || 0,
-        color: getPlayerColor(player)
-    })).sort((a, b) => b.score - a.score);
-    
-    new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: standings.map(s => s.player),
-            datasets: [{
-                label: 'Current Mahble Count',
-                data: standings.map(s => s.score),
-                backgroundColor: standings.map(s => s.color)
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            aspectRatio: window.innerWidth < 768 ? 1 : 2,
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    grid: { color: 'rgba(255,255,255,0.1)' },
-                    ticks: {
-                        color: '#e0e0e0',
-                        precision: 0,
-                        font: { size: 16 }
-                    }
-                },
-                x: {
-                    grid: { display: false },
-                    ticks: {
-                        color: '#e0e0e0',
-                        font: { size: 16 }
-                    }
-                }
-            },
-            plugins: {
-                legend: { display: false },
-                title: {
-                    display: true,
-                    text: 'Current Standings',
-                    color: '#e0e0e0',
-                    font: { size: 18, weight: 'bold' }
-                }
-            }
-        }
+/**
+ * Nominal and actual transfers for a game, as { player, change } lists.
+ *   nominal = changes × stake, plus side bets (what the game said was owed)
+ *   actual  = nominal with forgiven amounts handed back (what changed hands)
+ * Games without wager fields come out with both equal to their changes.
+ */
+function getGameTransfers(game) {
+    const nominal = {};
+    const add = (totals, player, amount) => {
+        totals[player] = (totals[player] || 0) + amount;
+    };
+
+    const stake = game.stake || 1;
+    game.changes.forEach(change => add(nominal, change.player, change.change * stake));
+    (game.sideBets || []).forEach(bet => {
+        add(nominal, bet.winner, bet.amount);
+        add(nominal, bet.loser, -bet.amount);
+    });
+
+    const actual = { ...nominal };
+    (game.forgiven || []).forEach(entry => {
+        add(actual, entry.creditor, -entry.amount);
+        add(actual, entry.debtor, entry.amount);
     });
+
+    const toList = totals => Object.entries(totals).map(([player, change]) => ({ player, change }));
+    return { nominal: toList(nominal), actual: toList(actual) };
 }
 
-// ============================================
-// CHART 2: LINE CHART OVER TIME
-// ============================================
+function hasWager(game) {
+    return (game.stake || 1) !== 1 || (game.sideBets || []).length > 0 || (game.forgiven || []).length > 0;
+}
 
-function renderLineChart() {
-    const ctx = document.getElementById('marbleChart');
-    if (!ctx) return;
-    
-    const history = calculateRunningTotals();
-    if (history.length === 0) return;
-    
-    const datasets = Array.from(allPlayers).map(player => {
-        const data = history.map(snapshot => snapshot.totals[player] || 0);
-        
-        return {
-            label: player,
-            data: data,
-            borderColor: getPlayerColor(player),
-            tension: 0.1,
-            spanGaps: false
-        };
+function describeWager(game) {
+    const parts = [];
+    if ((game.stake || 1) !== 1) {
+        parts.push(game.stake === 2 ? 'Double or nothing (×2)' : `Stake ×${game.stake}`);
+    }
+    (game.sideBets || []).forEach(bet => {
+        parts.push(`Side bet: ${bet.winner} won ${bet.amount} off ${bet.loser}${bet.description ? ` (${bet.description})` : ''}`);
     });
-    
-    new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: history.map(h => h.date),
-            datasets: datasets
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            aspectRatio: window.innerWidth < 768 ? 1 : 2,
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                    ticks: {
-                        color: '#e0e0e0',
-                        precision: 0,
-                        font: { size: 16 }
-                    }
-                },
-                x: {
-                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                    ticks: {
-                        color: '#e0e0e0',
-                        font: { size: 14 },
-                        callback: function(value, index) {
-                            const snapshot = history[index];
-                            return [snapshot.date, snapshot.game];
-                        }
-                    }
-                }
-            },
-            plugins: {
-                legend: {
-                    labels: { color: '#e0e0e0', font: { size: 14 } }
-                },
-                title: {
-                    display: true,
-                    text: 'Mahbles Over Time',
-                    color: '#e0e0e0',
-                    font: { size: 18, weight: 'bold' }
-                },
-                tooltip: {
-                    callbacks: {
-                        title: function(context) {
-                            const snapshot = history[context[0].dataIndex];
-                            return `${snapshot.date} - ${snapshot.game}`;
-                        }
-                    }
-                }
-            }
-        }
+    (game.forgiven || []).forEach(entry => {
+        parts.push(`${entry.creditor} let ${entry.debtor} off ${entry.amount}`);
     });
+    return parts.join(' · ');
 }
 
 // ============================================
-// CHART 3: STACKED BAR BY GAME SOURCE
+// SEASONS
 // ============================================
 
-function renderStackedBarChart() {
-    const ctx = document.getElementById('marbleStackedChart');
-    if (!ctx) return;
-
-    const uniqueGames = [...new Set(allGames.map(g => g.game))];
-    const playerGameData = {};
-    const playerGameGains = {};
-    const playerGameLosses = {};
+/**
+ * Split the games into seasons. Each reset closes the season before it and
+ * opens a new one (the reset itself is the first entry of the new season).
+ * Tags every game with its season number.
+ */
+function buildSeasons() {
+    allSeasons = [];
+    let current = null;
 
-    allPlayers.forEach(player => {
-        playerGameData[player] = {};
-        playerGameGains[player] = {};
-        playerGameLosses[player] = {};
-        uniqueGames.forEach(game => {
-            playerGameData[player][game] = 0;
-            playerGameGains[player][game] = 0;
-            playerGameLosses[player][game] = 0;
-        });
+    allGames.forEach(game => {
+        if (!current || (game.game === 'reset' && current.games.length > 0)) {
+            current = { number: allSeasons.length + 1, games: [] };
+            allSeasons.push(current);
+        }
+        current.games.push(game);
+        game.season = current.number;
     });
 
-    allGames.forEach(game => {
-        game.changes.forEach(change => {
-            playerGameData[change.player][game.game] += change.change;
-            if (change.change > 0) {
-                playerGameGains[change.player][game.game] += change.change;
-            } else if (change.change < 0) {
-                playerGameLosses[change.player][game.game] += change.change;
-            }
-        });
+    allSeasons.forEach((season, index) => {
+        const players = [...new Set(season.games.flatMap(g => g.changes.map(c => c.player)))];
+        const finalTotals = calculateRunningTotals(season.games, players).pop().totals;
+
+        season.start = season.games[0].date;
+        season.end = season.games[season.games.length - 1].date;
+        season.closed = index < allSeasons.length - 1;
+        season.standings = players
+            .map(player => ({ player, score: finalTotals[player] }))
+            .sort((a, b) => b.score - a.score);
     });
 
-    const datasets = uniqueGames.map(game => ({
-        label: game.charAt(0).toUpperCase() + game.slice(1),
-        data: Array.from(allPlayers).map(player => playerGameData[player][game]),
-        backgroundColor: getGameColor(game),
-        hidden: game === 'reset',
-        // Store gains/losses for tooltip
-        gains: Array.from(allPlayers).map(player => playerGameGains[player][game]),
-        losses: Array.from(allPlayers).map(player => playerGameLosses[player][game])
-    }));
+    return allSeasons;
+}
+
+function getSeasonLabel(season) {
+    const range = season.closed ? `${season.start} – ${season.end}` : `${season.start} – now`;
+    return `Season ${season.number} (${range})`;
+}
+
+function renderHallOfFame() {
+    const container = document.getElementById('hall-of-fame');
+    if (!container) return;
+
+    const finished = allSeasons.filter(season => season.closed).reverse();
+    if (finished.length === 0) {
+        container.innerHTML = '<p class="card-hint">No finished seasons yet — the first reset will crown a champion.</p>';
+        return;
+    }
+
+    container.innerHTML = finished.map(season => {
+        const topScore = season.standings[0].score;
+        const winners = season.standings.filter(s => s.score === topScore).map(s => s.player);
+        const gameCount = season.games.filter(g => g.game !== 'reset').length;
+
+        return `
+            <div class="hof-season">
+                <div class="hof-header">
+                    <span class="hof-title">Season ${season.number}</span>
+                    <span class="game-date">${season.start} – ${season.end} · ${gameCount} game${gameCount !== 1 ? 's' : ''}</span>
+                </div>
+                <div class="hof-winner">🏆 ${winners.join(' & ')} <span class="hof-score">${topScore}</span></div>
+                <ol class="hof-table">
+                    ${season.standings.map(s => `
+                        <li><span style="color: ${getPlayerColor(s.player)}">${s.player}</span> <span class="hof-score">${s.score}</span></li>
+                    `).join('')}
+                </ol>
+                <button class="btn-secondary" onclick="selectSeason(${season.number})">Browse Season ${season.number}</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/** Point the filter bar at one season and scroll back up to the charts */
+function selectSeason(number) {
+    const select = document.getElementById('filter-season');
+    if (!select) return;
+
+    select.value = `season-${number}`;
+    onSeasonChange();
+    select.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================
+// SKILL RATINGS (MULTIPLAYER ELO)
+// ============================================
+
+const RATING_START = 1000;
+const RATING_K = 32;
+
+/**
+ * Elo ratings from each game's finishing order (bigger actual transfer = better
+ * finish, so stake, side bets and forgiveness count as they do in the totals).
+ * Every game is scored as a round of head-to-head matches between all players
+ * in it, with K split across the n-1 opponents. Resets are skipped.
+ *
+ * Returns the overall ratings, a rating table per game type, and a snapshot of
+ * the overall ratings after every game (aligned with calculateRunningTotals()).
+ */
+function calculateRatings(games = allGames, players = allPlayers) {
+    const overall = {};
+    const byGame = {};
+    const history = [];
+
+    players.forEach(player => {
+        overall[player] = RATING_START;
+    });
+
+    games.forEach(game => {
+        const transfers = game.game !== 'reset' ? getGameTransfers(game).actual : [];
+        if (transfers.length > 1) {
+            if (!byGame[game.game]) byGame[game.game] = {};
+            applyEloRound(overall, transfers);
+            applyEloRound(byGame[game.game], transfers);
+        }
+
+        history.push({
+            date: game.date,
+            sequence: game.sequence,
+            game: game.game,
+            ratings: { ...overall }
+        });
+    });
+
+    return { overall, byGame, history };
+}
+
+function applyEloRound(ratings, changes) {
+    changes.forEach(change => {
+        if (ratings[change.player] === undefined) ratings[change.player] = RATING_START;
+    });
+
+    // Work out every delta from the pre-game ratings before applying any of them
+    const deltas = changes.map(a => {
+        let score = 0;
+        changes.forEach(b => {
+            if (a.player === b.player) return;
+            const expected = 1 / (1 + Math.pow(10, (ratings[b.player] - ratings[a.player]) / 400));
+            const actual = a.change > b.change ? 1 : a.change < b.change ? 0 : 0.5;
+            score += actual - expected;
+        });
+        return RATING_K * score / (changes.length - 1);
+    });
+
+    changes.forEach((change, i) => {
+        ratings[change.player] += deltas[i];
+    });
+}
+
+// ============================================
+// DATA VALIDATION
+// ============================================
+
+function validateData() {
+    dataIssues = [
+        ...findDuplicateGameNumbers(),
+        ...findDuplicatePlayers(),
+        ...findUnbalancedGames(),
+        ...findPlayerCountIssues(),
+        ...findPlayerNameTypos(),
+        ...findWagerIssues(),
+        ...findNegativeTotals()
+    ];
+
+    if (dataIssues.length > 0) {
+        console.warn('⚠️ Mahbles data issues found:', dataIssues);
+    }
+
+    return dataIssues;
+}
+
+function findDuplicateGameNumbers() {
+    const keys = allGames.map(g => `${g.date}#${g.sequence}`);
+    const duplicates = allGames.filter((game, index) => keys.indexOf(keys[index]) !== index);
+
+    return duplicates.map(game => ({
+        severity: 'error',
+        date: game.date,
+        sequence: game.sequence,
+        message: `More than one game is recorded as game ${game.sequence} on this date`
+    }));
+}
+
+function findDuplicatePlayers() {
+    const issues = [];
+
+    allGames.forEach(game => {
+        const seen = new Set();
+        game.changes.forEach(change => {
+            if (seen.has(change.player)) {
+                issues.push({
+                    severity: 'error',
+                    date: game.date,
+                    sequence: game.sequence,
+                    game: game.game,
+                    message: `${change.player} appears more than once in this game`
+                });
+            }
+            seen.add(change.player);
+        });
+    });
+
+    return issues;
+}
+
+// House rules: a game creates floor(n/2) mahbles for n players, and bets only
+// move them around. Players who broke even are often left out of the file, so n
+// isn't known — but the net has to be 0 (a pure bet) or a whole number of at
+// least floor(recorded players / 2).
+function findUnbalancedGames() {
+    const issues = [];
+
+    allGames.forEach(game => {
+        // Resets hand out mahbles to restart the standings, so they never balance
+        if (game.game === 'reset') return;
+
+        const net = game.changes.reduce((sum, change) => sum + change.change, 0);
+        const minCreated = Math.floor(game.changes.length / 2);
+        let message = null;
+
+        if (net < 0) {
+            message = `Changes remove mahbles (net ${net}) — games can only create them`;
+        } else if (!Number.isInteger(net)) {
+            message = `Net +${net} isn't a whole number of created mahbles`;
+        } else if (net > 0 && net < minCreated) {
+            message = `Net +${net}, but ${game.changes.length} players recorded means at least ${minCreated} created`;
+        }
+
+        if (message) {
+            issues.push({
+                severity: 'warning',
+                date: game.date,
+                sequence: game.sequence,
+                game: game.game,
+                message
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Games with more players recorded than the game allows. Too few can't be
+ * spotted: anyone who broke even is left out of the changes.
+ */
+function findPlayerCountIssues() {
+    const issues = [];
+
+    allGames.forEach(game => {
+        const info = getGameInfo(game.game);
+        const count = game.changes.length;
+        if (!info.minPlayers || !info.maxPlayers) return;
+
+        if (count > info.maxPlayers) {
+            issues.push({
+                severity: 'warning',
+                date: game.date,
+                sequence: game.sequence,
+                game: game.game,
+                message: `${count} player${count !== 1 ? 's' : ''} recorded, but ${info.name} is for ${info.minPlayers}–${info.maxPlayers}`
+            });
+        }
+    });
+
+    return issues;
+}
+
+function findWagerIssues() {
+    const issues = [];
+
+    allGames.filter(hasWager).forEach(game => {
+        const issue = message => issues.push({
+            severity: 'warning',
+            date: game.date,
+            sequence: game.sequence,
+            game: game.game,
+            message
+        });
+
+        const nominal = getGameTransfers(game).nominal;
+        const owed = player => -((nominal.find(c => c.player === player) || {}).change || 0);
+
+        game.forgiven.forEach(entry => {
+            if (entry.amount > owed(entry.debtor)) {
+                issue(`${entry.creditor} forgives ${entry.debtor} ${entry.amount}, but ${entry.debtor} only owed ${Math.max(owed(entry.debtor), 0)}`);
+            }
+        });
+        game.sideBets.forEach(bet => {
+            if (bet.winner === bet.loser) {
+                issue(`Side bet has ${bet.winner} betting against themselves`);
+            }
+        });
+    });
+
+    return issues;
+}
+
+function findPlayerNameTypos() {
+    const knownPlayers = playerRegistry.map(entry => entry.name);
+    if (knownPlayers.length === 0) return [];
+
+    const issues = [];
+
+    allGames.forEach(game => {
+        game.changes.forEach(change => {
+            if (knownPlayers.includes(change.player)) return;
+
+            const closest = knownPlayers
+                .map(known => ({ known, distance: editDistance(change.player.toLowerCase(), known.toLowerCase()) }))
+                .sort((a, b) => a.distance - b.distance)[0];
+
+            if (closest.distance <= 2) {
+                issues.push({
+                    severity: 'warning',
+                    date: game.date,
+                    sequence: game.sequence,
+                    game: game.game,
+                    message: `Unknown player "${change.player}" — did you mean ${closest.known}?`
+                });
+            }
+        });
+    });
+
+    return issues;
+}
+
+function findNegativeTotals() {
+    const issues = [];
+    const wasNegative = {};
+
+    calculateRunningTotals().forEach(snapshot => {
+        Object.entries(snapshot.totals).forEach(([player, total]) => {
+            // Only report the game that takes a player below zero, not every game after it
+            if (total < 0 && !wasNegative[player]) {
+                issues.push({
+                    severity: 'warning',
+                    date: snapshot.date,
+                    sequence: snapshot.sequence,
+                    game: snapshot.game,
+                    message: `${player}'s running total drops to ${total}`
+                });
+            }
+            wasNegative[player] = total < 0;
+        });
+    });
+
+    return issues;
+}
+
+/** Levenshtein distance between two strings */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function renderDataIssues() {
+    const panel = document.getElementById('data-issues');
+    const list = document.getElementById('data-issues-list');
+    if (!panel || !list) return;
+
+    if (dataIssues.length === 0) {
+        panel.hidden = true;
+        return;
+    }
+
+    const sorted = [...dataIssues].sort((a, b) => a.date.localeCompare(b.date) || a.sequence - b.sequence);
+
+    list.innerHTML = sorted.map(issue => `
+        <li class="data-issue data-issue-${issue.severity}">
+            <span class="data-issue-where">📅 ${formatGameDate(issue)}${issue.game ? ` · ${getGameDisplayName(issue.game)}` : ''}</span>
+            <span class="data-issue-message">${issue.message}</span>
+        </li>
+    `).join('');
+
+    const errors = dataIssues.filter(i => i.severity === 'error').length;
+    const warnings = dataIssues.length - errors;
+    document.getElementById('data-issues-summary').textContent =
+        `${errors} error${errors !== 1 ? 's' : ''}, ${warnings} warning${warnings !== 1 ? 's' : ''}`;
+
+    panel.hidden = false;
+}
+
+// ============================================
+// CHART 1: CURRENT STANDINGS (BAR)
+// ============================================
+
+function renderCurrentStandings() {
+    const ctx = document.getElementById('marbleBarChart');
+    if (!ctx) return;
+    
+    const players = getFilteredPlayers();
+    const games = getFilteredGames();
+    renderReplayControls();
+    if (games.length === 0) return destroyChart('marbleBarChart');
+    if (standingsMode === 'replay') return renderReplayChart(ctx, games, players);
+    
+    const showRating = standingsMode === 'rating';
+    const latestTotals = showRating
+        ? calculateRatings(games, players).overall
+        : calculateRunningTotals(games, players).pop().totals;
+    
+    const standings = players.map(player => ({
+        player,
+        score: showRating ? Math.round(latestTotals[player]) : latestTotals[player] || 0,
+        color: getPlayerColor(player)
+    })).sort((a, b) => b.score - a.score);
+    
+    renderChart(ctx, {
+        type: 'bar',
+        data: {
+            labels: standings.map(s => s.player),
+            datasets: [{
+                label: showRating ? 'Current Rating' : 'Current Mahble Count',
+                data: standings.map(s => s.score),
+                backgroundColor: standings.map(s => s.color)
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            aspectRatio: window.innerWidth < 768 ? 1 : 2,
+            ...playerClickHandlers(index => standings[index].player),
+            scales: {
+                y: {
+                    // Ratings cluster around RATING_START, so zero would flatten them
+                    beginAtZero: !showRating,
+                    grid: { color: chartTheme.grid },
+                    ticks: {
+                        color: chartTheme.text,
+                        precision: 0,
+                        font: { size: 16 }
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: chartTheme.text,
+                        font: { size: 16 }
+                    }
+                }
+            },
+            plugins: {
+                legend: { display: false },
+                title: {
+                    display: true,
+                    text: showRating ? 'Current Ratings' : 'Current Standings',
+                    color: chartTheme.text,
+                    font: { size: 18, weight: 'bold' }
+                }
+            }
+        }
+    });
+}
+
+function setStandingsMode(mode) {
+    if (mode !== 'replay') pauseReplay();
+    standingsMode = mode;
+    document.querySelectorAll('#standings-toggle .chart-toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    renderCurrentStandings();
+    writeUrlState();
+}
+
+// ============================================
+// STANDINGS REPLAY ("BAR CHART RACE")
+// ============================================
+
+/** Running-totals snapshots the replay steps through, for the current filters */
+function getReplayHistory() {
+    return calculateRunningTotals(getFilteredGames(), getFilteredPlayers());
+}
+
+/** Horizontal bar chart with a fixed axis, so bars grow and shrink against the same scale */
+function renderReplayChart(ctx, games, players) {
+    const history = calculateRunningTotals(games, players);
+    replay.step = Math.min(replay.step, history.length - 1);
+
+    const values = history.flatMap(snapshot => players.map(player => snapshot.totals[player] || 0));
+    const max = Math.max(1, ...values);
+    const min = Math.min(0, ...values);
+
+    renderChart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [{ label: 'Mahbles', data: [], backgroundColor: [] }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: { duration: Math.min(800, REPLAY_STEP_MS / replay.speed * 0.8) },
+            ...playerClickHandlers(index => chartInstances.marbleBarChart.data.labels[index]),
+            scales: {
+                x: {
+                    min,
+                    max: Math.ceil(max),
+                    grid: { color: chartTheme.grid },
+                    ticks: { color: chartTheme.text, precision: 0, font: { size: 14 } }
+                },
+                y: {
+                    grid: { display: false },
+                    ticks: { color: chartTheme.text, font: { size: 16 } }
+                }
+            },
+            plugins: {
+                legend: { display: false },
+                title: {
+                    display: true,
+                    text: 'Standings Replay',
+                    color: chartTheme.text,
+                    font: { size: 18, weight: 'bold' }
+                }
+            }
+        }
+    });
+
+    showReplayStep(replay.step, history);
+}
+
+/** Move the replay to `step`: re-sort the bars, then update the scrubber and caption */
+function showReplayStep(step, history = getReplayHistory()) {
+    const chart = chartInstances.marbleBarChart;
+    const snapshot = history[step];
+    if (!chart || !snapshot) return;
+
+    replay.step = step;
+    const standings = getFilteredPlayers()
+        .map(player => ({ player, score: snapshot.totals[player] || 0 }))
+        .sort((a, b) => b.score - a.score || a.player.localeCompare(b.player));
+
+    chart.data.labels = standings.map(s => s.player);
+    chart.data.datasets[0].data = standings.map(s => s.score);
+    chart.data.datasets[0].backgroundColor = standings.map(s => getPlayerColor(s.player));
+    chart.update();
+
+    const scrub = document.getElementById('replay-scrub');
+    if (scrub) {
+        scrub.max = history.length - 1;
+        scrub.value = step;
+    }
+
+    const game = getFilteredGames()[step];
+    const caption = document.getElementById('replay-caption');
+    if (caption && game) {
+        caption.innerHTML = `
+            <span class="replay-step">Game ${step + 1} of ${history.length}</span>
+            <span class="game-date">📅 ${formatGameDate(game)}</span>
+            <span class="game-name">${getGameInfo(game.game).icon} ${getGameDisplayName(game.game)}</span>
+            ${game.notes ? `<div class="game-notes">📝 ${game.notes}</div>` : ''}
+        `;
+    }
+}
+
+function renderReplayControls() {
+    const controls = document.getElementById('replay-controls');
+    if (!controls) return;
+
+    controls.hidden = standingsMode !== 'replay';
+    const button = document.getElementById('replay-play');
+    if (button) button.textContent = replay.playing ? '⏸ Pause' : '▶ Play';
+}
+
+function toggleReplay() {
+    if (replay.playing) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+}
+
+function playReplay() {
+    const history = getReplayHistory();
+    if (history.length === 0) return;
+
+    // Play from the end starts over
+    if (replay.step >= history.length - 1) showReplayStep(0, history);
+
+    replay.playing = true;
+    renderReplayControls();
+    scheduleReplayStep();
+}
+
+function pauseReplay() {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    replay.playing = false;
+    renderReplayControls();
+}
+
+function scheduleReplayStep() {
+    clearTimeout(replay.timer);
+    replay.timer = setTimeout(() => {
+        const history = getReplayHistory();
+        if (replay.step >= history.length - 1) return pauseReplay();
+
+        showReplayStep(replay.step + 1, history);
+        scheduleReplayStep();
+    }, REPLAY_STEP_MS / replay.speed);
+}
+
+function scrubReplay(value) {
+    pauseReplay();
+    showReplayStep(Number(value));
+}
+
+function setReplaySpeed(value) {
+    replay.speed = Number(value) || 1;
+    const chart = chartInstances.marbleBarChart;
+    if (chart && standingsMode === 'replay') {
+        chart.options.animation.duration = Math.min(800, REPLAY_STEP_MS / replay.speed * 0.8);
+    }
+    if (replay.playing) scheduleReplayStep();
+}
+
+// ============================================
+// CHART 2: LINE CHART OVER TIME
+// ============================================
+
+function renderLineChart() {
+    const ctx = document.getElementById('marbleChart');
+    if (!ctx) return;
+    
+    const games = getFilteredGames();
+    const players = getFilteredPlayers();
+    const history = calculateRunningTotals(games, players);
+    renderForecastPanel(null);
+    if (history.length === 0) return destroyChart('marbleChart');
+    
+    const forecast = lineMode === 'forecast' ? calculateForecast(games, players, getForecastTarget(history)) : null;
+    const future = forecast ? forecast.weeks.map(week => week.date) : [];
+    const pad = values => [...values, ...future.map(() => null)];
+
+    const datasets = players.map(player => {
+        const data = history.map(snapshot => snapshot.totals[player] || 0);
+        
+        return {
+            label: player,
+            data: pad(data),
+            borderColor: getPlayerColor(player),
+            tension: 0.1,
+            spanGaps: false
+        };
+    });
+
+    // Dashed median projection, with a shaded 10th–90th percentile band behind it
+    if (forecast) {
+        const lead = history.slice(0, -1).map(() => null);
+        players.forEach(player => {
+            const projection = forecast.players[player];
+            if (!projection) return;
+            const start = history[history.length - 1].totals[player] || 0;
+            const color = getPlayerColor(player);
+
+            datasets.push(
+                { label: player, forecast: 'band', data: [...lead, start, ...projection.p90], borderColor: 'transparent', pointRadius: 0, fill: false },
+                { label: player, forecast: 'band', data: [...lead, start, ...projection.p10], borderColor: 'transparent', pointRadius: 0, fill: '-1', backgroundColor: withAlpha(color, 0.15) },
+                { label: player, forecast: 'median', data: [...lead, start, ...projection.p50], borderColor: color, borderDash: [6, 4], pointRadius: 0, tension: 0.1 }
+            );
+        });
+        renderForecastPanel(forecast);
+    }
+
+    const labels = [...history.map(h => formatGameDate(h)), ...future];
+    
+    renderChart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            aspectRatio: window.innerWidth < 768 ? 1 : 2,
+            ...playerClickHandlers((index, datasetIndex) => datasets[datasetIndex].label),
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: chartTheme.grid },
+                    ticks: {
+                        color: chartTheme.text,
+                        precision: 0,
+                        font: { size: 16 }
+                    }
+                },
+                x: {
+                    grid: { color: chartTheme.grid },
+                    ticks: {
+                        color: chartTheme.text,
+                        font: { size: 14 },
+                        callback: function(value, index) {
+                            const snapshot = history[index];
+                            if (!snapshot) return [labels[index], 'Forecast'];
+                            return [formatGameDate(snapshot), getGameDisplayName(snapshot.game)];
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: chartTheme.text,
+                        font: { size: 14 },
+                        filter: item => !datasets[item.datasetIndex].forecast
+                    }
+                },
+                title: {
+                    display: true,
+                    text: forecast ? `Race to ${forecast.target} Mahbles` : 'Mahbles Over Time',
+                    color: chartTheme.text,
+                    font: { size: 18, weight: 'bold' }
+                },
+                tooltip: {
+                    filter: item => datasets[item.datasetIndex].forecast !== 'band',
+                    callbacks: {
+                        title: function(context) {
+                            const snapshot = history[context[0].dataIndex];
+                            if (!snapshot) return `Forecast for week of ${labels[context[0].dataIndex]}`;
+                            return `${formatGameDate(snapshot)} - ${getGameDisplayName(snapshot.game)}`;
+                        },
+                        label: function(context) {
+                            const value = Math.round(context.parsed.y * 10) / 10;
+                            const median = datasets[context.datasetIndex].forecast === 'median';
+                            return `${context.dataset.label}: ${value}${median ? ' (projected)' : ''}`;
+                        },
+                        // Same before/after diff as the history cards: who moved in the table
+                        afterBody: function(context) {
+                            const index = context[0].dataIndex;
+                            if (!history[index]) return [];
+
+                            const moves = calculateStandingsDiff(history, index, players).filter(row => row.rankChange !== 0);
+                            return moves.length > 0
+                                ? ['', ...moves.map(describeRankChange)]
+                                : ['', 'No change in the order'];
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function setLineMode(mode) {
+    lineMode = mode;
+    document.querySelectorAll('#line-toggle .chart-toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    renderLineChart();
+    writeUrlState();
+}
+
+// ============================================
+// FORECAST ("RACE TO N MAHBLES")
+// ============================================
+//
+// Monte Carlo over past results: each simulated week draws a number of games
+// from the group's historical games-per-week rate, and each game replays the
+// transfers of a randomly picked past game. The generator is seeded from the
+// data, so the same games always draw the same forecast.
+
+/** The chosen target, or the next multiple of 5 at least 5 above the current leader */
+function getForecastTarget(history) {
+    if (forecastTarget) return forecastTarget;
+    const leader = Math.max(0, ...Object.values(history[history.length - 1].totals));
+    return Math.ceil((leader + 5) / 5) * 5;
+}
+
+function setForecastTarget(value) {
+    const target = Number(value);
+    forecastTarget = target > 0 ? target : null;
+    renderLineChart();
+    writeUrlState();
+}
+
+/**
+ * Simulate the race to `target`. Returns
+ *   { target, start, weeks: [{ date }], players: { name: { perGame, perWeek,
+ *     p10, p50, p90, reachedShare, firstShare, reachDates: { p10, p50, p90 } } } }
+ * or null if there's nothing to simulate from.
+ */
+function calculateForecast(games, players, target, runs = FORECAST_RUNS) {
+    const history = calculateRunningTotals(games, players);
+    const results = games.filter(game => game.game !== 'reset');
+    if (history.length === 0 || results.length === 0) return null;
+
+    const outcomes = results.map(game => getGameTransfers(game).actual);
+    const firstDate = Date.parse(`${results[0].date}T00:00:00Z`);
+    const lastDate = Date.parse(`${games[games.length - 1].date}T00:00:00Z`);
+    const weeksSpanned = Math.max(1, (lastDate - firstDate) / (7 * 86400000));
+    const gamesPerWeek = results.length / weeksSpanned;
+    const start = history[history.length - 1].totals;
+
+    // Historical rates, shown alongside the simulated dates
+    const rates = {};
+    players.forEach(player => {
+        const played = outcomes.map(o => o.find(t => t.player === player)).filter(Boolean);
+        const total = played.reduce((sum, t) => sum + t.change, 0);
+        rates[player] = {
+            perGame: played.length ? total / played.length : 0,
+            perWeek: total / weeksSpanned
+        };
+    });
+
+    const random = seededRandom(`${results.length}:${games[games.length - 1].date}:${target}`);
+    const trajectories = {};
+    const reachedWeek = {};
+    const firstCount = {};
+    players.forEach(player => {
+        trajectories[player] = [];
+        reachedWeek[player] = [];
+        firstCount[player] = 0;
+    });
+
+    for (let run = 0; run < runs; run++) {
+        const totals = {};
+        const reached = {};
+        let winner = null;
+        players.forEach(player => {
+            totals[player] = start[player] || 0;
+            if (totals[player] >= target) reached[player] = 0;
+        });
+
+        for (let week = 1; week <= FORECAST_HORIZON_WEEKS; week++) {
+            const count = samplePoisson(gamesPerWeek, random);
+            for (let g = 0; g < count; g++) {
+                const outcome = outcomes[Math.floor(random() * outcomes.length)];
+                outcome.forEach(({ player, change }) => {
+                    if (!(player in totals)) return;
+                    totals[player] += change;
+                    if (totals[player] >= target && reached[player] === undefined) {
+                        reached[player] = week;
+                        if (!winner) winner = player;
+                    }
+                });
+            }
+            if (week <= FORECAST_WEEKS_SHOWN) {
+                players.forEach(player => trajectories[player].push(totals[player]));
+            }
+        }
+
+        if (winner) firstCount[winner]++;
+        players.forEach(player => {
+            reachedWeek[player].push(reached[player] === undefined ? Infinity : reached[player]);
+        });
+    }
+
+    const weekDate = week => new Date(lastDate + week * 7 * 86400000).toISOString().slice(0, 10);
+    const forecast = {
+        target,
+        start,
+        weeks: Array.from({ length: FORECAST_WEEKS_SHOWN }, (_, i) => ({ date: weekDate(i + 1) })),
+        players: {}
+    };
+
+    players.forEach(player => {
+        const atWeek = week => trajectories[player].filter((_, i) => i % FORECAST_WEEKS_SHOWN === week);
+        const band = q => forecast.weeks.map((_, week) => percentile(atWeek(week), q));
+        const weeks = reachedWeek[player].slice().sort((a, b) => a - b);
+        const reachDate = q => {
+            const week = percentile(weeks, q);
+            if (!Number.isFinite(week)) return null;
+            return week === 0 ? 'Already there' : weekDate(week);
+        };
+
+        forecast.players[player] = {
+            ...rates[player],
+            p10: band(0.1),
+            p50: band(0.5),
+            p90: band(0.9),
+            reachedShare: weeks.filter(Number.isFinite).length / runs,
+            firstShare: firstCount[player] / runs,
+            reachDates: { p10: reachDate(0.1), p50: reachDate(0.5), p90: reachDate(0.9) }
+        };
+    });
+
+    return forecast;
+}
+
+/** Nearest-rank percentile of a list (sorted here, so any order is fine) */
+function percentile(values, q) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function samplePoisson(mean, random) {
+    // Knuth's method: fine for the handful of games a week we play
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+        count++;
+        product *= random();
+    }
+    return count;
+}
+
+/** Small seeded PRNG (mulberry32) so re-renders don't make the forecast jump around */
+function seededRandom(seedText) {
+    let seed = 0;
+    for (const char of seedText) {
+        seed = (Math.imul(31, seed) + char.charCodeAt(0)) | 0;
+    }
+    return function() {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** #rrggbb / #rrggbbaa → rgba() at the given opacity, for forecast bands */
+function withAlpha(color, alpha) {
+    const hex = color.replace('#', '');
+    if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) return color;
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function renderForecastPanel(forecast) {
+    const panel = document.getElementById('forecast-panel');
+    if (!panel) return;
+
+    panel.hidden = !forecast;
+    if (!forecast) return;
+
+    const input = document.getElementById('forecast-target');
+    if (input && document.activeElement !== input) input.value = forecast.target;
+
+    const percent = share => `${Math.round(share * 100)}%`;
+    const rate = value => `${value > 0 ? '+' : ''}${Math.round(value * 100) / 100}`;
+    const rows = Object.entries(forecast.players)
+        .sort(byScoreThenName(([, p]) => p.firstShare, ([player]) => player));
+
+    let html = `
+        <table class="rating-table forecast-table">
+            <thead>
+                <tr>
+                    <th>Player</th>
+                    <th>Now</th>
+                    <th>Per game</th>
+                    <th>Per week</th>
+                    <th>Likely date</th>
+                    <th>Range (10–90%)</th>
+                    <th>Chance first</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+    rows.forEach(([player, p]) => {
+        const range = p.reachDates.p10
+            ? `${p.reachDates.p10} – ${p.reachDates.p90 || 'not within 2 years'}`
+            : '—';
+        html += `
+            <tr>
+                <td class="rating-player" style="color: ${getPlayerColor(player)}">${player}</td>
+                <td>${forecast.start[player] || 0}</td>
+                <td>${rate(p.perGame)}</td>
+                <td>${rate(p.perWeek)}</td>
+                <td>${p.reachDates.p50 || `${percent(p.reachedShare)} chance within 2 years`}</td>
+                <td>${range}</td>
+                <td>${percent(p.firstShare)}</td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table>';
+
+    document.getElementById('forecast-table').innerHTML = html;
+}
+
+// ============================================
+// CHART 3: STACKED BAR BY GAME SOURCE
+// ============================================
+
+function renderStackedBarChart() {
+    const ctx = document.getElementById('marbleStackedChart');
+    if (!ctx) return;
+
+    const games = getFilteredGames();
+    const players = getFilteredPlayers();
+    if (games.length === 0) return destroyChart('marbleStackedChart');
+
+    const uniqueGames = [...new Set(games.map(g => g.game))];
+    const playerGameData = {};
+    const playerGameGains = {};
+    const playerGameLosses = {};
+
+    players.forEach(player => {
+        playerGameData[player] = {};
+        playerGameGains[player] = {};
+        playerGameLosses[player] = {};
+        uniqueGames.forEach(game => {
+            playerGameData[player][game] = 0;
+            playerGameGains[player][game] = 0;
+            playerGameLosses[player][game] = 0;
+        });
+    });
+
+    games.forEach(game => {
+        getGameTransfers(game).actual.forEach(change => {
+            if (!playerGameData[change.player]) return;
+            playerGameData[change.player][game.game] += change.change;
+            if (change.change > 0) {
+                playerGameGains[change.player][game.game] += change.change;
+            } else if (change.change < 0) {
+                playerGameLosses[change.player][game.game] += change.change;
+            }
+        });
+    });
+
+    const datasets = uniqueGames.map(game => ({
+        label: getGameDisplayName(game),
+        data: players.map(player => playerGameData[player][game]),
+        backgroundColor: getGameColor(game),
+        hidden: game === 'reset',
+        // Store gains/losses for tooltip
+        gains: players.map(player => playerGameGains[player][game]),
+        losses: players.map(player => playerGameLosses[player][game])
+    }));
     
-    new Chart(ctx, {
+    renderChart(ctx, {
         type: 'bar',
         data: {
-            labels: Array.from(allPlayers),
+            labels: players,
             datasets: datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             aspectRatio: window.innerWidth < 768 ? 1 : 2,
+            ...playerClickHandlers(index => players[index]),
             scales: {
                 x: {
                     stacked: true,
                     grid: { display: false },
                     ticks: {
-                        color: '#e0e0e0',
+                        color: chartTheme.text,
                         font: { size: 14 }
                     }
                 },
                 y: {
                     stacked: true,
                     beginAtZero: true,
-                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    grid: { color: chartTheme.grid },
                     ticks: {
-                        color: '#e0e0e0',
+                        color: chartTheme.text,
                         precision: 0,
                         font: { size: 14 }
                     }
@@ -398,12 +1693,12 @@ function renderStackedBarChart() {
             },
             plugins: {
                 legend: {
-                    labels: { color: '#e0e0e0', font: { size: 12 } }
+                    labels: { color: chartTheme.text, font: { size: 12 } }
                 },
                 title: {
                     display: true,
                     text: 'Mahbles by Game Source',
-                    color: '#e0e0e0',
+                    color: chartTheme.text,
                     font: { size: 18, weight: 'bold' }
                 },
                 tooltip: {
@@ -414,18 +1709,751 @@ function renderStackedBarChart() {
                             const gains = context.dataset.gains[context.dataIndex];
                             const losses = context.dataset.losses[context.dataIndex];
 
-                            // Build tooltip with breakdown
-                            let label = `${context.dataset.label}: ${sign}${value}`;
-                            if (gains > 0 || losses < 0) {
-                                label += ` (Gains: +${gains}, Losses: ${losses})`;
-                            }
-                            return label;
-                        }
-                    }
-                }
+                            // Build tooltip with breakdown
+                            let label = `${context.dataset.label}: ${sign}${value}`;
+                            if (gains > 0 || losses < 0) {
+                                label += ` (Gains: +${gains}, Losses: ${losses})`;
+                            }
+                            return label;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// CHART 4: RATING OVER TIME
+// ============================================
+
+function renderRatingChart() {
+    const ctx = document.getElementById('ratingChart');
+    if (!ctx) return;
+
+    const players = getFilteredPlayers();
+    const { byGame, history } = calculateRatings(getFilteredGames(), players);
+    if (history.length === 0) {
+        renderRatingTable(players, byGame);
+        return destroyChart('ratingChart');
+    }
+
+    const datasets = players.map(player => ({
+        label: player,
+        data: history.map(snapshot => Math.round(snapshot.ratings[player] ?? RATING_START)),
+        borderColor: getPlayerColor(player),
+        tension: 0.1
+    }));
+
+    renderChart(ctx, {
+        type: 'line',
+        data: {
+            labels: history.map(h => formatGameDate(h)),
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            ...playerClickHandlers((index, datasetIndex) => datasets[datasetIndex].label),
+            scales: {
+                y: {
+                    grid: { color: chartTheme.grid },
+                    ticks: {
+                        color: chartTheme.text,
+                        precision: 0,
+                        font: { size: 14 }
+                    }
+                },
+                x: {
+                    grid: { color: chartTheme.grid },
+                    ticks: {
+                        color: chartTheme.text,
+                        font: { size: 12 }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: { color: chartTheme.text, font: { size: 14 } }
+                },
+                title: {
+                    display: true,
+                    text: 'Rating Over Time',
+                    color: chartTheme.text,
+                    font: { size: 18, weight: 'bold' }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(context) {
+                            const snapshot = history[context[0].dataIndex];
+                            return `${formatGameDate(snapshot)} - ${getGameDisplayName(snapshot.game)}`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    renderRatingTable(players, byGame);
+}
+
+function renderRatingTable(players, byGame) {
+    const container = document.getElementById('rating-table');
+    if (!container) return;
+
+    const gameTypes = Object.keys(byGame);
+    if (gameTypes.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let html = '<table class="rating-table"><thead><tr><th></th>';
+    gameTypes.forEach(game => {
+        html += `<th title="${describeGame(game)}">${getGameInfo(game).icon} ${getGameDisplayName(game)}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    players.forEach(player => {
+        html += `<tr><th style="color: ${getPlayerColor(player)}">${player}</th>`;
+        gameTypes.forEach(game => {
+            const rating = byGame[game][player];
+            html += `<td>${rating === undefined ? '—' : Math.round(rating)}</td>`;
+        });
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+// ============================================
+// PLAYER PROFILE
+// ============================================
+
+/** Chart options that open a player's profile when one of their bars/points is clicked */
+function playerClickHandlers(getPlayer) {
+    return {
+        onClick: (event, elements) => {
+            if (elements.length === 0) return;
+            openPlayerProfile(getPlayer(elements[0].index, elements[0].datasetIndex));
+        },
+        onHover: (event, elements) => {
+            event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        }
+    };
+}
+
+function calculatePlayerProfile(player) {
+    const history = calculateRunningTotals();
+    const profile = {
+        player,
+        gained: 0,
+        lost: 0,
+        gamesPlayed: 0,
+        byGame: {},
+        best: null,
+        worst: null,
+        biggestSwing: null,
+        longestWinStreak: 0,
+        longestLossStreak: 0,
+        runningTotals: history.map(snapshot => ({
+            label: formatGameDate(snapshot),
+            game: snapshot.game,
+            total: snapshot.totals[player] || 0
+        }))
+    };
+
+    let winStreak = 0;
+    let lossStreak = 0;
+
+    allGames.forEach(game => {
+        const entry = getGameTransfers(game).actual.find(change => change.player === player);
+        if (!entry) return;
+
+        const value = entry.change;
+        if (value > 0) profile.gained += value;
+        if (value < 0) profile.lost += value;
+
+        // Resets hand out starting mahbles rather than results, so skip them for records
+        if (game.game === 'reset') return;
+
+        profile.gamesPlayed++;
+
+        if (!profile.byGame[game.game]) {
+            profile.byGame[game.game] = { played: 0, wins: 0, net: 0 };
+        }
+        profile.byGame[game.game].played++;
+        profile.byGame[game.game].net += value;
+        if (value > 0) profile.byGame[game.game].wins++;
+
+        const result = { game, change: value };
+        if (!profile.best || value > profile.best.change) profile.best = result;
+        if (!profile.worst || value < profile.worst.change) profile.worst = result;
+        if (!profile.biggestSwing || Math.abs(value) > Math.abs(profile.biggestSwing.change)) {
+            profile.biggestSwing = result;
+        }
+
+        winStreak = value > 0 ? winStreak + 1 : 0;
+        lossStreak = value < 0 ? lossStreak + 1 : 0;
+        profile.longestWinStreak = Math.max(profile.longestWinStreak, winStreak);
+        profile.longestLossStreak = Math.max(profile.longestLossStreak, lossStreak);
+    });
+
+    return profile;
+}
+
+function openPlayerProfile(player) {
+    const modal = document.getElementById('player-modal');
+    const content = document.getElementById('player-modal-content');
+    if (!modal || !content) return;
+
+    selectedPlayer = player;
+    const profile = calculatePlayerProfile(player);
+    const color = getPlayerColor(player);
+    const info = getPlayerInfo(player);
+
+    const formatChange = value => `${value > 0 ? '+' : ''}${value}`;
+    const formatResult = result => result
+        ? `${formatChange(result.change)} <span class="profile-stat-sub">${getGameDisplayName(result.game.game)} · ${formatGameDate(result.game)}</span>`
+        : '—';
+
+    const gameRows = Object.entries(profile.byGame)
+        .sort((a, b) => b[1].played - a[1].played)
+        .map(([game, stats]) => `
+            <tr>
+                <td><span class="profile-game-swatch" style="background-color: ${getGameColor(game)}"></span>${getGameDisplayName(game)}</td>
+                <td>${stats.wins}/${stats.played}</td>
+                <td>${Math.round(stats.wins / stats.played * 100)}%</td>
+                <td>${formatChange(stats.net)}</td>
+            </tr>
+        `).join('');
+
+    content.innerHTML = `
+        <div class="profile-header">
+            ${renderPlayerAvatar(player)}
+            <div>
+                <h2 class="profile-name">${player}</h2>
+                <span class="profile-meta">${info.joined ? `Joined ${info.joined}` : ''}${info.active === false ? ' · Retired' : ''}</span>
+            </div>
+        </div>
+        <div class="profile-stats">
+            <div class="profile-stat"><span class="profile-stat-label">Lifetime gained</span><span class="profile-stat-value positive">+${profile.gained}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Lifetime lost</span><span class="profile-stat-value negative">${profile.lost}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Games played</span><span class="profile-stat-value">${profile.gamesPlayed}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Best game</span><span class="profile-stat-value">${formatResult(profile.best)}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Worst game</span><span class="profile-stat-value">${formatResult(profile.worst)}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Biggest swing</span><span class="profile-stat-value">${formatResult(profile.biggestSwing)}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Longest winning streak</span><span class="profile-stat-value">${profile.longestWinStreak}</span></div>
+            <div class="profile-stat"><span class="profile-stat-label">Longest losing streak</span><span class="profile-stat-value">${profile.longestLossStreak}</span></div>
+        </div>
+        ${gameRows ? `
+            <table class="profile-games">
+                <thead><tr><th>Game</th><th>Won</th><th>Win rate</th><th>Net</th></tr></thead>
+                <tbody>${gameRows}</tbody>
+            </table>
+        ` : ''}
+        <div class="profile-chart">
+            <canvas id="playerProfileChart"></canvas>
+        </div>
+    `;
+
+    modal.hidden = false;
+    renderPlayerProfileChart(profile, color);
+    writeUrlState();
+}
+
+/** Registry avatar, or the player's initial on their color if there isn't one */
+function renderPlayerAvatar(player) {
+    const info = getPlayerInfo(player);
+    const color = getPlayerColor(player);
+
+    if (info.avatar) {
+        return `<img class="player-avatar" src="${info.avatar}" alt="${player}" style="border-color: ${color}">`;
+    }
+    return `<span class="player-avatar" style="background-color: ${color}; border-color: ${color}">${player.charAt(0)}</span>`;
+}
+
+function renderPlayerProfileChart(profile, color) {
+    const ctx = document.getElementById('playerProfileChart');
+    if (!ctx) return;
+
+    renderChart(ctx, {
+        type: 'line',
+        data: {
+            labels: profile.runningTotals.map(point => point.label),
+            datasets: [{
+                label: profile.player,
+                data: profile.runningTotals.map(point => point.total),
+                borderColor: color,
+                backgroundColor: color,
+                tension: 0.1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: chartTheme.grid },
+                    ticks: { color: chartTheme.text, precision: 0 }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: chartTheme.text }
+                }
+            },
+            plugins: {
+                legend: { display: false },
+                title: {
+                    display: true,
+                    text: 'Running Total',
+                    color: chartTheme.text,
+                    font: { size: 16, weight: 'bold' }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(context) {
+                            const point = profile.runningTotals[context[0].dataIndex];
+                            return `${point.label} - ${getGameDisplayName(point.game)}`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function closePlayerProfile() {
+    const modal = document.getElementById('player-modal');
+    if (!modal || modal.hidden) return;
+
+    modal.hidden = true;
+    selectedPlayer = null;
+    writeUrlState();
+}
+
+// ============================================
+// HEAD-TO-HEAD RIVALRY MATRIX
+// ============================================
+
+/**
+ * Pairwise records from what actually changed hands in each game (the same
+ * transfers as the totals). In every game two players shared, the one with the
+ * bigger change beats the other, and each loser's mahbles are split across the
+ * winners in proportion to what they gained.
+ */
+function calculateHeadToHead(gameFilter, games = allGames) {
+    const players = Array.from(allPlayers);
+    const matrix = {};
+
+    players.forEach(a => {
+        matrix[a] = {};
+        players.forEach(b => {
+            matrix[a][b] = { wins: 0, losses: 0, taken: 0, games: 0 };
+        });
+    });
+
+    games.forEach(game => {
+        if (game.game === 'reset') return;
+        if (gameFilter && game.game !== gameFilter) return;
+
+        const transfers = getGameTransfers(game).actual;
+        const gained = transfers.filter(c => c.change > 0).reduce((sum, c) => sum + c.change, 0);
+        const lost = -transfers.filter(c => c.change < 0).reduce((sum, c) => sum + c.change, 0);
+        // When mahbles are created (or destroyed) the bigger side sets the scale
+        const pool = Math.max(gained, lost);
+
+        transfers.forEach(a => {
+            transfers.forEach(b => {
+                if (a.player === b.player) return;
+                const record = matrix[a.player][b.player];
+
+                record.games++;
+                if (a.change > b.change) record.wins++;
+                if (a.change < b.change) record.losses++;
+
+                if (pool > 0) {
+                    if (a.change > 0 && b.change < 0) record.taken += a.change * -b.change / pool;
+                    if (a.change < 0 && b.change > 0) record.taken -= b.change * -a.change / pool;
+                }
+            });
+        });
+    });
+
+    return matrix;
+}
+
+function renderHeadToHead() {
+    const container = document.getElementById('head-to-head');
+    if (!container) return;
+
+    const select = document.getElementById('head-to-head-game');
+    const gameFilter = select ? select.value : '';
+
+    if (select && select.options.length <= 1) {
+        const gameTypes = [...new Set(allGames.map(g => g.game))].filter(g => g !== 'reset');
+        gameTypes.forEach(game => {
+            select.add(new Option(getGameDisplayName(game), game));
+        });
+    }
+
+    const players = getFilteredPlayers();
+    const matrix = calculateHeadToHead(gameFilter, getFilteredGames());
+    const round = value => Math.round(value * 100) / 100;
+
+    let html = '<table class="h2h-table"><thead><tr><th></th>';
+    players.forEach(player => {
+        html += `<th style="color: ${getPlayerColor(player)}">${player}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    // Cells pass player indices: a name with an apostrophe would break a quoted inline handler
+    players.forEach((a, i) => {
+        html += `<tr><th style="color: ${getPlayerColor(a)}">${a}</th>`;
+        players.forEach((b, j) => {
+            const record = matrix[a][b];
+            if (a === b || record.games === 0) {
+                html += '<td class="h2h-cell h2h-empty">—</td>';
+                return;
+            }
+
+            const taken = round(record.taken);
+            const cellClass = taken > 0 ? 'positive-change' : taken < 0 ? 'negative-change' : 'no-change';
+            html += `
+                <td class="h2h-cell ${cellClass}" onclick="filterHistoryToRivalryCell(${i}, ${j})"
+                    title="${a} vs ${b}: ${record.games} shared game${record.games !== 1 ? 's' : ''}">
+                    <span class="h2h-taken">${taken > 0 ? '+' : ''}${taken}</span>
+                    <span class="h2h-record">${record.wins}–${record.losses}</span>
+                </td>
+            `;
+        });
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+function filterHistoryToRivalryCell(i, j) {
+    const players = getFilteredPlayers();
+    filterHistoryToRivalry(players[i], players[j]);
+}
+
+function filterHistoryToRivalry(a, b) {
+    const select = document.getElementById('head-to-head-game');
+    const gameFilter = select ? select.value : '';
+
+    setHistoryFilter({
+        pair: [a, b],
+        game: gameFilter,
+        label: `${a} vs ${b}${gameFilter ? ` (${getGameDisplayName(gameFilter)})` : ''}`,
+        predicate: game => game.game !== 'reset'
+            && (!gameFilter || game.game === gameFilter)
+            && game.changes.some(c => c.player === a)
+            && game.changes.some(c => c.player === b)
+    });
+
+    document.getElementById('game-history').scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================
+// INSIGHTS ("FUN FACTS")
+// ============================================
+//
+// The calculate* functions below are pure: they only read the games and
+// players they're given (plus `today` where dates matter) and break ties by
+// player name, so the same data always gives the same facts.
+// renderInsights() is the only part that touches the page.
+
+/** Games that count as results: everything except resets, with their actual transfers */
+function getResultGames(games) {
+    return games
+        .filter(game => game.game !== 'reset')
+        .map(game => ({ game, transfers: getGameTransfers(game).actual }));
+}
+
+/** Sort by a numeric score (highest first), then by name so ties are stable */
+function byScoreThenName(score, name) {
+    return (a, b) => score(b) - score(a) || name(a).localeCompare(name(b));
+}
+
+/**
+ * Current run of consecutive gains (or losses) for each player, counting only
+ * the games they played in. Returns { player: { type: 'win'|'loss'|null, length } }.
+ */
+function calculateCurrentStreaks(games = allGames, players = allPlayers) {
+    const streaks = {};
+    players.forEach(player => {
+        streaks[player] = { type: null, length: 0 };
+    });
+
+    getResultGames(games).forEach(({ transfers }) => {
+        transfers.forEach(({ player, change }) => {
+            if (!streaks[player]) return;
+            const type = change > 0 ? 'win' : change < 0 ? 'loss' : null;
+            const streak = streaks[player];
+
+            if (type && type === streak.type) {
+                streak.length++;
+            } else {
+                streaks[player] = { type, length: type ? 1 : 0 };
+            }
+        });
+    });
+
+    return streaks;
+}
+
+/** The player on the longest current winning streak, or null if nobody is on one */
+function findStreakHolder(games = allGames, players = allPlayers) {
+    const streaks = calculateCurrentStreaks(games, players);
+    const best = Object.entries(streaks)
+        .filter(([, streak]) => streak.type === 'win')
+        .sort(byScoreThenName(([, streak]) => streak.length, ([player]) => player))[0];
+
+    return best ? { player: best[0], length: best[1].length } : null;
+}
+
+/** Standard deviation of each player's per-game change (players with 2+ games) */
+function calculateVolatility(games = allGames, players = allPlayers) {
+    const changes = {};
+    players.forEach(player => {
+        changes[player] = [];
+    });
+
+    getResultGames(games).forEach(({ transfers }) => {
+        transfers.forEach(({ player, change }) => {
+            if (changes[player]) changes[player].push(change);
+        });
+    });
+
+    const volatility = {};
+    Object.entries(changes).forEach(([player, values]) => {
+        if (values.length < 2) return;
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        volatility[player] = { stdDev: Math.sqrt(variance), games: values.length };
+    });
+
+    return volatility;
+}
+
+function findMostVolatilePlayer(games = allGames, players = allPlayers) {
+    const best = Object.entries(calculateVolatility(games, players))
+        .sort(byScoreThenName(([, v]) => v.stdDev, ([player]) => player))[0];
+
+    return best ? { player: best[0], ...best[1] } : null;
+}
+
+/** Average mahbles changing hands per game type (the larger of gains or losses, per game) */
+function calculateGameSwings(games = allGames) {
+    const swings = {};
+
+    getResultGames(games).forEach(({ game, transfers }) => {
+        const gained = transfers.filter(t => t.change > 0).reduce((sum, t) => sum + t.change, 0);
+        const lost = -transfers.filter(t => t.change < 0).reduce((sum, t) => sum + t.change, 0);
+
+        const entry = swings[game.game] = swings[game.game] || { total: 0, games: 0 };
+        entry.total += Math.max(gained, lost);
+        entry.games++;
+    });
+
+    Object.values(swings).forEach(entry => {
+        entry.average = entry.total / entry.games;
+    });
+
+    return swings;
+}
+
+function findBiggestSwingGame(games = allGames) {
+    const best = Object.entries(calculateGameSwings(games))
+        .sort(byScoreThenName(([, swing]) => swing.average, ([game]) => game))[0];
+
+    return best ? { game: best[0], ...best[1] } : null;
+}
+
+/**
+ * Biggest climb in the standings within a season: the most places gained from
+ * a player's lowest rank to their best rank after it. Rank 1 is the leader,
+ * and tied totals share a rank.
+ */
+function findBiggestComeback(games = allGames, players = allPlayers) {
+    const playerList = Array.from(players);
+    const history = calculateRunningTotals(games, playerList);
+    let best = null;
+
+    // Only rank players who have played in the season so far, so someone who
+    // hasn't joined yet doesn't sit at 0 and pad out the bottom of the table
+    let seen = new Set();
+    const appeared = games.map((game, index) => {
+        if (index > 0 && game.season !== games[index - 1].season) seen = new Set();
+        game.changes.forEach(change => seen.add(change.player));
+        return playerList.filter(player => seen.has(player));
+    });
+
+    playerList.forEach(player => {
+        let low = null;
+
+        history.forEach((snapshot, index) => {
+            // A reset levels everyone, so a comeback can't start before one
+            if (snapshot.game === 'reset') {
+                low = null;
+                return;
             }
-        }
+            if (!appeared[index].includes(player)) return;
+
+            const rank = getRanks(snapshot.totals, appeared[index])[player];
+            const season = games[index].season;
+
+            if (!low || rank > low.rank) {
+                low = { rank, snapshot, season };
+                return;
+            }
+
+            const climb = low.rank - rank;
+            const better = !best || climb > best.climb || (climb === best.climb && player < best.player);
+            if (climb > 0 && better) {
+                best = { player, climb, from: low.rank, to: rank, fromGame: low.snapshot, toGame: snapshot, season };
+            }
+        });
+    });
+
+    return best;
+}
+
+/**
+ * Each player's nemesis (who has taken the most mahbles off them) and
+ * favourite victim (who they've taken the most off), from the head-to-head flows.
+ */
+function calculateRivalries(games = allGames, players = allPlayers) {
+    const playerList = Array.from(players);
+    const matrix = calculateHeadToHead(null, games);
+    const rivalries = {};
+
+    playerList.forEach(player => {
+        const opponents = playerList.filter(p => p !== player && matrix[player] && matrix[player][p]);
+        const pick = score => {
+            const top = opponents
+                .map(opponent => ({ player: opponent, taken: score(opponent) }))
+                .filter(entry => entry.taken > 0)
+                .sort(byScoreThenName(entry => entry.taken, entry => entry.player))[0];
+            return top || null;
+        };
+
+        rivalries[player] = {
+            nemesis: pick(opponent => matrix[opponent][player].taken),
+            victim: pick(opponent => matrix[player][opponent].taken)
+        };
+    });
+
+    return rivalries;
+}
+
+/** Days since each player last came out of a game up (null if they never have) */
+function calculateDaysSinceGain(games = allGames, players = allPlayers, today = new Date()) {
+    const lastGain = {};
+
+    getResultGames(games).forEach(({ game, transfers }) => {
+        transfers.forEach(({ player, change }) => {
+            if (change > 0) lastGain[player] = game.date;
+        });
+    });
+
+    const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    const result = {};
+    Array.from(players).forEach(player => {
+        const date = lastGain[player];
+        result[player] = date
+            ? { date, days: Math.round((todayUtc - Date.parse(`${date}T00:00:00Z`)) / 86400000) }
+            : null;
+    });
+
+    return result;
+}
+
+function renderInsights() {
+    const container = document.getElementById('insights');
+    if (!container) return;
+
+    const games = getFilteredGames();
+    const players = getFilteredPlayers();
+    const round = value => Math.round(value * 100) / 100;
+    const name = player => `<span style="color: ${getPlayerColor(player)}">${player}</span>`;
+
+    if (getResultGames(games).length === 0) {
+        container.innerHTML = '<p class="insights-empty">No games in this view yet.</p>';
+        return;
+    }
+
+    const facts = [];
+
+    const streak = findStreakHolder(games, players);
+    facts.push({
+        icon: '🔥',
+        label: 'On a roll',
+        text: streak
+            ? `${name(streak.player)} has gained in ${streak.length} game${streak.length !== 1 ? 's' : ''} running`
+            : 'Nobody is on a winning streak'
+    });
+
+    const volatile = findMostVolatilePlayer(games, players);
+    if (volatile) {
+        facts.push({
+            icon: '🎢',
+            label: 'Most volatile',
+            text: `${name(volatile.player)} swings ±${round(volatile.stdDev)} a game on average over ${volatile.games} games`
+        });
+    }
+
+    const swing = findBiggestSwingGame(games);
+    if (swing) {
+        facts.push({
+            icon: '💥',
+            label: 'Highest stakes',
+            text: `${getGameInfo(swing.game).icon} ${getGameDisplayName(swing.game)} moves ${round(swing.average)} mahbles a game`
+        });
+    }
+
+    const comeback = findBiggestComeback(games, players);
+    if (comeback) {
+        facts.push({
+            icon: '📈',
+            label: 'Biggest comeback',
+            text: `${name(comeback.player)} climbed from #${comeback.from} to #${comeback.to} (${formatGameDate(comeback.fromGame)} → ${formatGameDate(comeback.toGame)}, Season ${comeback.season})`
+        });
+    }
+
+    let html = '<div class="insights-grid">';
+    facts.forEach(fact => {
+        html += `
+            <div class="insight">
+                <span class="insight-label">${fact.icon} ${fact.label}</span>
+                <span class="insight-text">${fact.text}</span>
+            </div>
+        `;
+    });
+    html += '</div>';
+
+    const rivalries = calculateRivalries(games, players);
+    const sinceGain = calculateDaysSinceGain(games, players);
+    const describe = entry => entry ? `${name(entry.player)} (${round(entry.taken)})` : '—';
+
+    html += '<table class="h2h-table insights-table"><thead><tr><th>Player</th><th>Nemesis</th><th>Favourite victim</th><th>Last gained</th></tr></thead><tbody>';
+    players.forEach(player => {
+        const since = sinceGain[player];
+        html += `
+            <tr>
+                <th>${name(player)}</th>
+                <td>${describe(rivalries[player].nemesis)}</td>
+                <td>${describe(rivalries[player].victim)}</td>
+                <td>${since ? `${since.days} day${since.days !== 1 ? 's' : ''} ago` : 'Never'}</td>
+            </tr>
+        `;
     });
+    html += '</tbody></table>';
+
+    container.innerHTML = html;
 }
 
 // ============================================
@@ -436,43 +2464,240 @@ function renderGameHistory() {
     const container = document.getElementById('game-history');
     if (!container) return;
     
-    const recentGames = allGames.slice(-5).reverse();
+    const games = sortHistoryGames(getHistoryGames());
+    const pages = Math.max(1, Math.ceil(games.length / HISTORY_PAGE_SIZE));
+    historyView.page = Math.min(Math.max(1, historyView.page), pages);
+    const pageGames = games.slice((historyView.page - 1) * HISTORY_PAGE_SIZE, historyView.page * HISTORY_PAGE_SIZE);
     
-    let html = '<div class="game-history-list">';
-    
-    recentGames.forEach(game => {
+    let html = '';
+
+    if (historyFilter) {
         html += `
-            <div class="game-history-item card">
-                <div class="game-history-header">
-                    <span class="game-date">📅 ${game.date}</span>
-                    <span class="game-name">${game.game}</span>
-                </div>
-                <div class="game-history-results">
-                    ${generateGameResults(game)}
-                </div>
-                ${game.notes ? `<div class="game-notes">📝 ${game.notes}</div>` : ''}
+            <div class="history-filter">
+                <span>Showing ${games.length} game${games.length !== 1 ? 's' : ''}: ${escapeHtml(historyFilter.label)}</span>
+                <button class="history-filter-clear" onclick="setHistoryFilter(null)" aria-label="Clear filter">✕</button>
             </div>
         `;
+    }
+
+    if (games.length === 0) {
+        container.innerHTML = html + `<p class="card-hint">${historyView.query ? `No games match "${escapeHtml(historyView.query)}".` : 'No games in this view yet.'}</p>`;
+        return;
+    }
+
+    html += '<div class="game-history-list">';
+    
+    let currentGroup = null;
+    pageGames.forEach(game => {
+        const group = getHistoryGroupLabel(game);
+        if (group && group !== currentGroup) {
+            html += `<h3 class="history-group">${group}</h3>`;
+            currentGroup = group;
+        }
+        html += renderHistoryCard(game);
     });
     
     html += '</div>';
     
-    if (allGames.length > 5) {
+    if (pages > 1) {
         html += `
-            <button id="show-all-games" class="btn-secondary" onclick="toggleAllGames()">
-                Show All ${allGames.length} Games
-            </button>
-            <div id="all-games-container" style="display: none;"></div>
+            <div class="history-pagination">
+                <button class="filter-reset" onclick="setHistoryPage(${historyView.page - 1})" ${historyView.page === 1 ? 'disabled' : ''}>← Newer</button>
+                <span>Page ${historyView.page} of ${pages} · ${games.length} games</span>
+                <button class="filter-reset" onclick="setHistoryPage(${historyView.page + 1})" ${historyView.page === pages ? 'disabled' : ''}>Older →</button>
+            </div>
         `;
     }
     
     container.innerHTML = html;
 }
 
+/** One game card; the highlighted (permalinked) game also shows the standings right after it */
+function renderHistoryCard(game) {
+    const key = getGameKey(game);
+    const highlighted = key === highlightedGame;
+    const expanded = highlighted || expandedGames.has(key);
+
+    return `
+        <div class="game-history-item card${highlighted ? ' highlighted' : ''}" id="game-${key}">
+            <div class="game-history-header">
+                <span class="game-date">📅 ${formatGameDate(game)} <span class="game-season">S${game.season}</span></span>
+                <span class="game-name" title="${describeGame(game.game)}">${getGameInfo(game.game).icon} ${getGameDisplayName(game.game)}</span>
+                <a class="game-permalink" href="?game=${key}" onclick="event.preventDefault(); openGamePermalink('${key}')" title="Link to this game">🔗</a>
+            </div>
+            <div class="game-history-results">
+                ${generateGameResults(game)}
+            </div>
+            ${generateWagerSummary(game)}
+            ${game.notes ? `<div class="game-notes">📝 ${game.notes}</div>` : ''}
+            <button class="game-diff-toggle" onclick="toggleGameDiff('${key}')" aria-expanded="${expanded}">
+                ${expanded ? 'Hide standings ▴' : 'Standings before/after ▾'}
+            </button>
+            ${expanded ? renderStandingsDiff(game) : ''}
+        </div>
+    `;
+}
+
+/** Stable id for a game: date plus game number within the day (2026-02-08-1) */
+function getGameKey(game) {
+    return `${game.date}-${game.sequence}`;
+}
+
+/** Before/after standings table for `game`, within the current filters */
+function renderStandingsDiff(game) {
+    const games = getFilteredGames();
+    const index = games.indexOf(game);
+    if (index === -1) return '';
+
+    const players = getFilteredPlayers();
+    const history = calculateRunningTotals(games.slice(0, index + 1), players);
+    const rows = calculateStandingsDiff(history, index, players);
+
+    let html = `
+        <div class="game-snapshot">
+            <table class="rating-table">
+                <thead><tr><th>#</th><th>Player</th><th>Before</th><th>After</th><th>Move</th></tr></thead>
+                <tbody>
+    `;
+    rows.forEach(row => {
+        const change = row.change ? ` <span class="${row.change > 0 ? 'positive' : 'negative'}">(${row.change > 0 ? '+' : ''}${row.change})</span>` : '';
+        const move = row.rankChange > 0 ? `<span class="positive">↑${row.rankChange}</span>`
+            : row.rankChange < 0 ? `<span class="negative">↓${-row.rankChange}</span>`
+            : '–';
+        html += `
+            <tr title="${describeRankChange(row)}">
+                <td>${ordinal(row.rankAfter)}</td>
+                <td class="rating-player" style="color: ${getPlayerColor(row.player)}">${row.player}</td>
+                <td>${row.before}</td>
+                <td>${row.after}${change}</td>
+                <td>${move}</td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table></div>';
+
+    return html;
+}
+
+function toggleGameDiff(key) {
+    if (expandedGames.has(key) || key === highlightedGame) {
+        expandedGames.delete(key);
+        if (key === highlightedGame) {
+            highlightedGame = null;
+            writeUrlState();
+        }
+    } else {
+        expandedGames.add(key);
+    }
+    renderGameHistory();
+}
+
+/** Games shown in the history list, narrowed by the head-to-head filter and search box */
+function getHistoryGames() {
+    const players = getFilteredPlayers();
+    let games = getFilteredGames().filter(game =>
+        game.changes.some(change => players.includes(change.player))
+    );
+
+    if (historyFilter) games = games.filter(historyFilter.predicate);
+    if (historyView.query) games = games.filter(game => matchesHistorySearch(game, historyView.query));
+    return games;
+}
+
+/** Every word of the query has to appear in the game's name, players, notes, wager or date */
+function matchesHistorySearch(game, query) {
+    const haystack = [
+        game.date,
+        game.game,
+        getGameDisplayName(game.game),
+        ...getGameTransfers(game).actual.map(c => c.player),
+        game.notes || '',
+        describeWager(game)
+    ].join(' ').toLowerCase();
+
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+function sortHistoryGames(games) {
+    const swing = game => getGameTransfers(game).actual
+        .filter(c => c.change > 0)
+        .reduce((sum, c) => sum + c.change, 0);
+
+    switch (historyView.sort) {
+        case 'oldest':
+            return games.slice();
+        case 'swing':
+            return games.slice().reverse().sort((a, b) => swing(b) - swing(a));
+        case 'game':
+            return games.slice().reverse().sort((a, b) => getGameDisplayName(a.game).localeCompare(getGameDisplayName(b.game)));
+        default:
+            return games.slice().reverse();
+    }
+}
+
+function getHistoryGroupLabel(game) {
+    if (historyView.group === 'month') {
+        return new Date(`${game.date}T00:00:00Z`).toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+    if (historyView.group === 'season') {
+        const season = allSeasons.find(s => s.number === game.season);
+        return season ? getSeasonLabel(season) : `Season ${game.season}`;
+    }
+    return null;
+}
+
+function onHistoryControlsChange() {
+    historyView.query = document.getElementById('history-search').value.trim();
+    historyView.sort = document.getElementById('history-sort').value;
+    historyView.group = document.getElementById('history-group').value;
+    historyView.page = 1;
+    renderGameHistory();
+    writeUrlState();
+}
+
+function setHistoryPage(page) {
+    historyView.page = page;
+    renderGameHistory();
+    writeUrlState();
+    document.getElementById('game-history').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/** Jump to a game: clear whatever hides it, open its page and show the standings after it */
+function openGamePermalink(key) {
+    const game = allGames.find(g => getGameKey(g) === key);
+    if (!game) return;
+
+    if (!getHistoryGames().includes(game)) {
+        historyFilter = null;
+        historyView.query = '';
+        document.getElementById('history-search').value = '';
+    }
+    if (!getHistoryGames().includes(game)) {
+        resetFilters();
+    }
+
+    highlightedGame = key;
+    const index = sortHistoryGames(getHistoryGames()).indexOf(game);
+    historyView.page = Math.floor(Math.max(index, 0) / HISTORY_PAGE_SIZE) + 1;
+    renderGameHistory();
+    writeUrlState();
+
+    const card = document.getElementById(`game-${key}`);
+    if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function setHistoryFilter(filter) {
+    historyFilter = filter;
+    historyView.page = 1;
+    renderGameHistory();
+    writeUrlState();
+}
+
 function generateGameResults(game) {
     let html = '';
+    const { nominal, actual } = getGameTransfers(game);
     
-    game.changes.forEach(change => {
+    actual.forEach(change => {
         const changeValue = change.change;
         let changeIcon = '➡️';
         let changeClass = 'no-change';
@@ -486,42 +2711,438 @@ function generateGameResults(game) {
         }
         
         const sign = changeValue > 0 ? '+' : '';
-        html += `<span class="game-result ${changeClass}">${change.player} ${sign}${changeValue} ${changeIcon}</span>`;
+        const owed = (nominal.find(c => c.player === change.player) || {}).change || 0;
+        const nominalLabel = owed !== changeValue
+            ? ` <span class="nominal-change" title="Nominal transfer before forgiveness">${owed > 0 ? '+' : ''}${owed}</span>`
+            : '';
+        html += `<span class="game-result ${changeClass}">${change.player} ${sign}${changeValue}${nominalLabel} ${changeIcon}</span>`;
     });
     
     return html;
 }
 
-function toggleAllGames() {
-    const button = document.getElementById('show-all-games');
-    const container = document.getElementById('all-games-container');
-    
-    if (container.style.display === 'none') {
-        const olderGames = allGames.slice(0, -5).reverse();
-        let html = '<div class="game-history-list">';
-        
-        olderGames.forEach(game => {
-            html += `
-                <div class="game-history-item card">
-                    <div class="game-history-header">
-                        <span class="game-date">📅 ${game.date}</span>
-                        <span class="game-name">${game.game}</span>
-                    </div>
-                    <div class="game-history-results">
-                        ${generateGameResults(game)}
-                    </div>
-                    ${game.notes ? `<div class="game-notes">📝 ${game.notes}</div>` : ''}
-                </div>
-            `;
+function generateWagerSummary(game) {
+    return hasWager(game) ? `<div class="game-wager">🎲 ${describeWager(game)}</div>` : '';
+}
+
+// ============================================
+// FILTERS
+// ============================================
+
+/** Games inside the active season or date range and game-type selection */
+function getFilteredGames() {
+    return allGames.filter(game =>
+        // Seasons can start and end on the same day, so match them by number, not date
+        (filters.season
+            ? game.season === filters.season
+            : (!filters.from || game.date >= filters.from) && (!filters.to || game.date <= filters.to)) &&
+        (!filters.games || filters.games.includes(game.game))
+    );
+}
+
+/** Players ticked in the filter bar (all of them until the filter is touched) */
+function getFilteredPlayers() {
+    const players = Array.from(allPlayers).filter(p => !filters.hideRetired || !isRetired(p));
+    return filters.players ? players.filter(p => filters.players.includes(p)) : players;
+}
+
+/** Seasons and date ranges offered by the season dropdown, derived from the data */
+function getSeasonPresets() {
+    const today = new Date().toISOString().slice(0, 10);
+    const thisYear = today.slice(0, 4);
+    const lastYear = String(thisYear - 1);
+    const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const seasons = [...allSeasons].reverse().map(season => ({
+        id: `season-${season.number}`,
+        group: 'Seasons',
+        label: getSeasonLabel(season),
+        from: season.start,
+        to: season.closed ? season.end : '',
+        season: season.number
+    }));
+
+    return [
+        { id: 'all', label: 'All time', from: '', to: '' },
+        ...seasons,
+        { id: 'this-year', group: 'Dates', label: thisYear, from: `${thisYear}-01-01`, to: `${thisYear}-12-31` },
+        { id: 'last-year', group: 'Dates', label: lastYear, from: `${lastYear}-01-01`, to: `${lastYear}-12-31` },
+        { id: 'last-90', group: 'Dates', label: 'Last 90 days', from: ninetyDaysAgo, to: '' }
+    ];
+}
+
+function renderFilterBar() {
+    const seasonSelect = document.getElementById('filter-season');
+    const gamesContainer = document.getElementById('filter-games');
+    const playersContainer = document.getElementById('filter-players');
+    if (!seasonSelect || !gamesContainer || !playersContainer) return;
+
+    const presets = getSeasonPresets();
+    const option = preset => `<option value="${preset.id}">${preset.label}</option>`;
+    const group = name => `<optgroup label="${name}">${presets.filter(p => p.group === name).map(option).join('')}</optgroup>`;
+
+    seasonSelect.innerHTML = presets.filter(p => !p.group).map(option).join('') +
+        group('Seasons') +
+        group('Dates') +
+        '<option value="custom" hidden>Custom range</option>';
+
+    const gameTypes = [...new Set(allGames.map(g => g.game))];
+    gamesContainer.innerHTML = gameTypes.map(game => `
+        <label class="filter-chip">
+            <input type="checkbox" value="${game}" checked onchange="onFiltersChange()">
+            <span><span class="filter-chip-swatch" style="background-color: ${getGameColor(game)}"></span>${getGameDisplayName(game)}</span>
+        </label>
+    `).join('');
+
+    playersContainer.innerHTML = Array.from(allPlayers).map(player => `
+        <label class="filter-chip">
+            <input type="checkbox" value="${player}" checked onchange="onFiltersChange()">
+            <span><span class="filter-chip-swatch" style="background-color: ${getPlayerColor(player)}"></span>${player}${isRetired(player) ? ' <span class="filter-chip-note">retired</span>' : ''}</span>
+        </label>
+    `).join('');
+}
+
+function onSeasonChange() {
+    const preset = getSeasonPresets().find(p => p.id === document.getElementById('filter-season').value);
+    if (!preset) return;
+
+    document.getElementById('filter-from').value = preset.from;
+    document.getElementById('filter-to').value = preset.to;
+    onFiltersChange();
+}
+
+function onDateRangeChange() {
+    document.getElementById('filter-season').value = 'custom';
+    onFiltersChange();
+}
+
+function onFiltersChange() {
+    readFilterControls();
+    renderAllCharts();
+    renderGameHistory();
+    writeUrlState();
+}
+
+function readFilterControls() {
+    const checked = id => [...document.querySelectorAll(`#${id} input:checked`)].map(input => input.value);
+    const total = id => document.querySelectorAll(`#${id} input`).length;
+
+    const games = checked('filter-games');
+    const players = checked('filter-players');
+    const preset = getSeasonPresets().find(p => p.id === document.getElementById('filter-season').value);
+
+    filters = {
+        from: document.getElementById('filter-from').value,
+        to: document.getElementById('filter-to').value,
+        season: preset && preset.season ? preset.season : null,
+        // null means "everything", so games/players added later aren't filtered out
+        games: games.length === total('filter-games') ? null : games,
+        players: players.length === total('filter-players') ? null : players,
+        hideRetired: document.getElementById('filter-hide-retired').checked
+    };
+}
+
+function resetFilters() {
+    document.getElementById('filter-season').value = 'all';
+    document.getElementById('filter-from').value = '';
+    document.getElementById('filter-to').value = '';
+    document.getElementById('filter-hide-retired').checked = false;
+    document.querySelectorAll('#filter-games input, #filter-players input').forEach(input => {
+        input.checked = true;
+    });
+    onFiltersChange();
+}
+
+// ============================================
+// SHAREABLE URL STATE
+// ============================================
+
+/**
+ * The dashboard view lives in the query string so a link opens the same view:
+ *   ?season=season-2&games=tetrio,pool&players=Jan,Dyl&mode=rating
+ *   &player=Jan&vs=Jan,Parker&h2h=tetrio&retired=hide&line=forecast&target=20
+ *   &q=tetrio&sort=swing&group=month&page=2&game=2026-02-08-1
+ */
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const list = key => params.get(key) ? params.get(key).split(',') : null;
+
+    return {
+        season: params.get('season'),
+        from: params.get('from') || '',
+        to: params.get('to') || '',
+        games: list('games'),
+        players: list('players'),
+        mode: params.get('mode'),
+        player: params.get('player'),
+        vs: list('vs'),
+        h2h: params.get('h2h') || '',
+        query: params.get('q') || '',
+        sort: params.get('sort'),
+        group: params.get('group'),
+        page: Number(params.get('page')) || 1,
+        game: params.get('game'),
+        retired: params.get('retired'),
+        line: params.get('line'),
+        target: params.get('target')
+    };
+}
+
+/**
+ * Text from the URL (or typed into the page) for use in innerHTML. Links get
+ * shared in the group chat, so ?q= and friends must never be read as markup.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/** Push URL state into the filter bar and chart toggles before the first render */
+function applyUrlFilters(state) {
+    const seasonSelect = document.getElementById('filter-season');
+    if (!seasonSelect) return;
+
+    const preset = getSeasonPresets().find(p => p.id === state.season);
+    if (preset) {
+        seasonSelect.value = preset.id;
+        document.getElementById('filter-from').value = preset.from;
+        document.getElementById('filter-to').value = preset.to;
+    } else if (state.from || state.to) {
+        seasonSelect.value = 'custom';
+        document.getElementById('filter-from').value = state.from;
+        document.getElementById('filter-to').value = state.to;
+    }
+
+    if (state.games) {
+        document.querySelectorAll('#filter-games input').forEach(input => {
+            input.checked = state.games.includes(input.value);
         });
-        
-        html += '</div>';
-        container.innerHTML = html;
-        container.style.display = 'block';
-        button.textContent = 'Show Less';
-    } else {
-        container.style.display = 'none';
-        button.textContent = `Show All ${allGames.length} Games`;
+    }
+    if (state.players) {
+        document.querySelectorAll('#filter-players input').forEach(input => {
+            input.checked = state.players.includes(input.value);
+        });
+    }
+
+    document.getElementById('filter-hide-retired').checked = state.retired === 'hide';
+
+    readFilterControls();
+
+    if (state.mode === 'rating' || state.mode === 'replay') {
+        standingsMode = state.mode;
+        document.querySelectorAll('#standings-toggle .chart-toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === state.mode);
+        });
+    }
+
+    if (state.target && Number(state.target) > 0) {
+        forecastTarget = Number(state.target);
+    }
+    if (state.line === 'forecast') {
+        lineMode = 'forecast';
+        document.querySelectorAll('#line-toggle .chart-toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === 'forecast');
+        });
+    }
+
+    const h2hSelect = document.getElementById('head-to-head-game');
+    if (h2hSelect && state.h2h) {
+        h2hSelect.value = state.h2h;
+    }
+
+    const sortSelect = document.getElementById('history-sort');
+    const groupSelect = document.getElementById('history-group');
+    document.getElementById('history-search').value = state.query;
+    if (state.sort) sortSelect.value = state.sort;
+    if (state.group) groupSelect.value = state.group;
+    historyView = {
+        query: state.query,
+        sort: sortSelect.value || 'newest',
+        group: groupSelect.value || 'none',
+        page: state.page
+    };
+}
+
+/** Restore the parts of the view that need the page rendered first */
+function applyUrlView(state) {
+    if (state.vs && state.vs.length === 2 && state.vs.every(p => allPlayers.has(p))) {
+        filterHistoryToRivalry(state.vs[0], state.vs[1]);
+    }
+    if (state.game) {
+        openGamePermalink(state.game);
+    }
+    if (state.player && allPlayers.has(state.player)) {
+        openPlayerProfile(state.player);
+    }
+}
+
+function writeUrlState() {
+    const params = new URLSearchParams();
+    const seasonSelect = document.getElementById('filter-season');
+
+    if (seasonSelect && seasonSelect.value === 'custom') {
+        if (filters.from) params.set('from', filters.from);
+        if (filters.to) params.set('to', filters.to);
+    } else if (seasonSelect && seasonSelect.value && seasonSelect.value !== 'all') {
+        params.set('season', seasonSelect.value);
+    }
+    if (filters.games) params.set('games', filters.games.join(','));
+    if (filters.players) params.set('players', filters.players.join(','));
+    if (filters.hideRetired) params.set('retired', 'hide');
+    if (standingsMode !== 'mahbles') params.set('mode', standingsMode);
+    if (lineMode === 'forecast') {
+        params.set('line', 'forecast');
+        if (forecastTarget) params.set('target', forecastTarget);
+    }
+    if (historyFilter && historyFilter.pair) {
+        params.set('vs', historyFilter.pair.join(','));
+        if (historyFilter.game) params.set('h2h', historyFilter.game);
+    }
+    if (historyView.query) params.set('q', historyView.query);
+    if (historyView.sort !== 'newest') params.set('sort', historyView.sort);
+    if (historyView.group !== 'none') params.set('group', historyView.group);
+    if (historyView.page > 1) params.set('page', historyView.page);
+    if (highlightedGame) params.set('game', highlightedGame);
+    if (selectedPlayer) params.set('player', selectedPlayer);
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+}
+
+// ============================================
+// EXPORT (CSV, JSON, PNG)
+// ============================================
+
+const EXPORT_CHARTS = {
+    marbleBarChart: 'Current Standings',
+    marbleChart: 'Mahbles Over Time',
+    marbleStackedChart: 'Mahbles by Game Source',
+    ratingChart: 'Rating Over Time'
+};
+
+/** Exports follow the filter bar, so a season filter gives a season recap */
+function exportGameLog(format) {
+    const games = getFilteredGames();
+
+    if (format === 'json') {
+        downloadFile(`mahbles-games-${getExportStamp()}.json`, JSON.stringify(games, null, 2), 'application/json');
+        return;
+    }
+
+    const rows = [['date', 'game_number', 'season', 'game', 'player', 'nominal', 'actual', 'wager', 'notes']];
+    games.forEach(game => {
+        const { nominal, actual } = getGameTransfers(game);
+        actual.forEach(change => {
+            const owed = (nominal.find(c => c.player === change.player) || {}).change || 0;
+            rows.push([game.date, game.sequence, game.season, game.game, change.player, owed, change.change, describeWager(game), game.notes || '']);
+        });
+    });
+    downloadFile(`mahbles-games-${getExportStamp()}.csv`, toCsv(rows), 'text/csv');
+}
+
+function exportRunningTotals(format) {
+    const players = getFilteredPlayers();
+    const history = calculateRunningTotals(getFilteredGames(), players);
+
+    if (format === 'json') {
+        downloadFile(`mahbles-totals-${getExportStamp()}.json`, JSON.stringify(history, null, 2), 'application/json');
+        return;
+    }
+
+    const rows = [['date', 'game_number', 'game', ...players]];
+    history.forEach(snapshot => {
+        rows.push([snapshot.date, snapshot.sequence, snapshot.game, ...players.map(p => snapshot.totals[p] || 0)]);
+    });
+    downloadFile(`mahbles-totals-${getExportStamp()}.csv`, toCsv(rows), 'text/csv');
+}
+
+/** Chart PNG on the page background, with a title and date stamp above it */
+function exportChartImage(canvasId) {
+    const chart = chartInstances[canvasId];
+    if (!chart) return;
+
+    // The chart canvas is drawn at device resolution, so scale the header to match
+    const source = chart.canvas;
+    const scale = chart.currentDevicePixelRatio || 1;
+    const padding = 24 * scale;
+    const headerHeight = 64 * scale;
+    const image = document.createElement('canvas');
+    image.width = source.width + padding * 2;
+    image.height = source.height + headerHeight + padding;
+
+    const ctx = image.getContext('2d');
+    ctx.fillStyle = chartTheme.background;
+    ctx.fillRect(0, 0, image.width, image.height);
+
+    ctx.fillStyle = chartTheme.text;
+    ctx.font = `bold ${22 * scale}px 'Public Sans', sans-serif`;
+    ctx.fillText(`Mahbles — ${EXPORT_CHARTS[canvasId]}`, padding, padding + 16 * scale);
+    ctx.fillStyle = chartTheme.textMuted;
+    ctx.font = `${14 * scale}px 'Public Sans', sans-serif`;
+    ctx.fillText(`${getExportScopeLabel()} · exported ${new Date().toISOString().slice(0, 10)}`, padding, padding + 38 * scale);
+
+    ctx.drawImage(source, padding, headerHeight);
+
+    image.toBlob(blob => {
+        downloadBlob(`mahbles-${canvasId}-${getExportStamp()}.png`, blob);
+    }, 'image/png');
+}
+
+function getExportScopeLabel() {
+    const select = document.getElementById('filter-season');
+    if (!select || select.value === 'all') return 'All time';
+    if (select.value === 'custom') return `${filters.from || 'start'} – ${filters.to || 'now'}`;
+    return select.options[select.selectedIndex].text;
+}
+
+function getExportStamp() {
+    const today = new Date().toISOString().slice(0, 10);
+    return filters.season ? `season-${filters.season}-${today}` : today;
+}
+
+function toCsv(rows) {
+    const cell = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+function downloadFile(filename, content, type) {
+    downloadBlob(filename, new Blob([content], { type }));
+}
+
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================
+// CHART LIFECYCLE
+// ============================================
+
+/** Create a chart on a canvas, destroying whatever chart was drawn there before */
+function renderChart(canvas, config) {
+    destroyChart(canvas.id);
+    chartInstances[canvas.id] = new Chart(canvas, config);
+    return chartInstances[canvas.id];
+}
+
+function destroyChart(canvasId) {
+    if (chartInstances[canvasId]) {
+        chartInstances[canvasId].destroy();
+        delete chartInstances[canvasId];
     }
 }
 
@@ -533,6 +3154,9 @@ function renderAllCharts() {
     renderCurrentStandings();
     renderLineChart();
     renderStackedBarChart();
+    renderRatingChart();
+    renderHeadToHead();
+    renderInsights();
 }
 
 // ============================================
@@ -559,4 +3183,9 @@ function useDefaultData() {
 // INITIALIZE
 // ============================================
 
+initTheme();
 document.addEventListener('DOMContentLoaded', loadGames);
+registerServiceWorker();
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closePlayerProfile();
+});
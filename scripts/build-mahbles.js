@@ -0,0 +1,275 @@
+/**
+ * Mahbles — build-time aggregator
+ *
+ * Reads every game file in mahbles-data/, validates it against the schema the
+ * CMS writes, and emits a single sorted mahbles-all.json for script.js to load.
+ *
+ *   node scripts/build-mahbles.js           write mahbles-all.json
+ *   node scripts/build-mahbles.js --check   fail if the committed mahbles-all.json is out of date
+ *
+ * Exits non-zero (and writes nothing) if any file fails validation.
+ *
+ * mahbles-all.json is committed so GitHub Pages serves it too; the
+ * .github/workflows/mahbles.yml workflow regenerates it when game data changes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const DATA_DIR = path.join(ROOT, "mahbles-data");
+const PLAYER_REGISTRY = path.join(ROOT, "player-registry.json");
+const GAME_REGISTRY = path.join(ROOT, "game-registry.json");
+const OUTPUT = path.join(ROOT, "mahbles-all.json");
+const CHECK_ONLY = process.argv.includes("--check");
+
+const ALLOWED_KEYS = new Set(["date", "sequence", "game", "changes", "stake", "sideBets", "forgiven", "notes"]);
+
+
+// ─── Main ────────────────────────────────────────────────────────
+
+function main() {
+  const knownPlayers = loadKnownPlayers();
+  const knownGames = loadKnownGames();
+  const files = fs.readdirSync(DATA_DIR).filter(f => f.endsWith(".json")).sort();
+
+  const games = [];
+  const failures = [];
+
+  for (const file of files) {
+    let game;
+    try {
+      game = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
+    } catch (err) {
+      failures.push({ file, errors: [`invalid JSON: ${err.message}`] });
+      continue;
+    }
+
+    const errors = validateGame(game, knownPlayers, knownGames);
+    if (errors.length > 0) {
+      failures.push({ file, errors });
+    } else {
+      games.push({ ...game, __file: file });
+    }
+  }
+
+  // Two files can't both claim to be game N of the same day
+  const byKey = {};
+  for (const game of games) {
+    const key = `${game.date} #${game.sequence || 1}`;
+    (byKey[key] = byKey[key] || []).push(game.__file);
+  }
+  for (const [key, dupes] of Object.entries(byKey)) {
+    if (dupes.length < 2) continue;
+    for (const file of dupes) {
+      failures.push({ file, errors: [`game ${key} is also recorded in ${dupes.filter(f => f !== file).join(", ")}`] });
+    }
+  }
+
+  if (failures.length > 0) {
+    console.error(`[mahbles] ${failures.length} of ${files.length} file(s) failed validation:\n`);
+    for (const { file, errors } of failures) {
+      console.error(`  mahbles-data/${file}`);
+      for (const e of errors) console.error(`    - ${e}`);
+    }
+    console.error("");
+    process.exit(1);
+  }
+
+  // Chronological, then by game number within the day (duplicates were rejected above)
+  games.sort((a, b) => a.date.localeCompare(b.date) || (a.sequence || 1) - (b.sequence || 1));
+
+  const output = games.map(({ __file, ...game }) => game);
+  const contents = JSON.stringify(output, null, 2) + "\n";
+
+  if (CHECK_ONLY) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, "utf8") : null;
+    if (current !== contents) {
+      console.error(`[mahbles] ${path.relative(ROOT, OUTPUT)} is out of date — run npm run build and commit it`);
+      process.exit(1);
+    }
+    console.log(`[mahbles] ${path.relative(ROOT, OUTPUT)} is up to date (${games.length} games)`);
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, contents);
+  console.log(`[mahbles] wrote ${games.length} games to ${path.relative(ROOT, OUTPUT)}`);
+}
+
+
+// ─── Schema ──────────────────────────────────────────────────────
+
+/**
+ * Validate one game file. Returns a list of human-readable errors (empty if valid).
+ * Mirrors the "mahbles" collection in admin/config.yml.
+ */
+function validateGame(game, knownPlayers, knownGames) {
+  const errors = [];
+
+  if (!game || typeof game !== "object" || Array.isArray(game)) {
+    return ["expected a JSON object"];
+  }
+
+  for (const key of Object.keys(game)) {
+    if (!ALLOWED_KEYS.has(key)) errors.push(`unexpected field "${key}"`);
+  }
+
+  // date — strict ISO YYYY-MM-DD that is also a real calendar date
+  if (typeof game.date !== "string" || !isIsoDate(game.date)) {
+    errors.push(`"date" must be an ISO date (YYYY-MM-DD), got ${JSON.stringify(game.date)}`);
+  }
+
+  // sequence — optional game number within the day (1, 2, 3...)
+  if (game.sequence !== undefined && (!Number.isInteger(game.sequence) || game.sequence < 1)) {
+    errors.push(`"sequence" must be a whole number of 1 or more, got ${JSON.stringify(game.sequence)}`);
+  }
+
+  // game — non-empty name that the game registry knows (id, name or alias)
+  if (typeof game.game !== "string" || !game.game.trim()) {
+    errors.push(`"game" must be a non-empty string`);
+  } else if (!knownGames.has(game.game.toLowerCase().trim())) {
+    errors.push(`"game" "${game.game}" is not in game-registry.json (add it, or an alias for it)`);
+  }
+
+  // changes — non-empty list of { player, change }
+  if (!Array.isArray(game.changes) || game.changes.length === 0) {
+    errors.push(`"changes" must be a non-empty list`);
+  } else {
+    game.changes.forEach((c, i) => {
+      const at = `changes[${i}]`;
+      if (!c || typeof c !== "object") {
+        errors.push(`${at} must be an object with "player" and "change"`);
+        return;
+      }
+      for (const key of Object.keys(c)) {
+        if (key !== "player" && key !== "change") errors.push(`${at} has unexpected field "${key}"`);
+      }
+
+      if (typeof c.player !== "string" || !c.player.trim()) {
+        errors.push(`${at}.player must be a non-empty string`);
+      } else {
+        checkPlayer(errors, `${at}.player`, c.player, knownPlayers);
+      }
+
+      // CMS number widget uses step: 0.5 — whole or half mahbles only
+      if (!isHalfStep(c.change)) {
+        errors.push(`${at}.change must be a whole or half number, got ${JSON.stringify(c.change)}`);
+      }
+    });
+  }
+
+  // stake — optional multiplier on the changes (2 = double or nothing)
+  if (game.stake !== undefined && (!isHalfStep(game.stake) || game.stake <= 0)) {
+    errors.push(`"stake" must be a positive whole or half number, got ${JSON.stringify(game.stake)}`);
+  }
+
+  // sideBets / forgiven — optional lists of two-player transfers
+  validateTransfers(errors, game.sideBets, "sideBets", ["winner", "loser"], ["description"], knownPlayers);
+  validateTransfers(errors, game.forgiven, "forgiven", ["creditor", "debtor"], [], knownPlayers);
+
+  // Only mahbles the game moved can be forgiven: both players must be in its changes or side bets
+  if (Array.isArray(game.forgiven)) {
+    const inGame = new Set();
+    (Array.isArray(game.changes) ? game.changes : []).forEach(c => {
+      if (c && typeof c.player === "string") inGame.add(c.player.toLowerCase().trim());
+    });
+    (Array.isArray(game.sideBets) ? game.sideBets : []).forEach(bet => {
+      for (const role of ["winner", "loser"]) {
+        if (bet && typeof bet[role] === "string") inGame.add(bet[role].toLowerCase().trim());
+      }
+    });
+    game.forgiven.forEach((entry, i) => {
+      if (!entry || typeof entry !== "object") return;
+      for (const role of ["creditor", "debtor"]) {
+        if (typeof entry[role] === "string" && entry[role].trim() && !inGame.has(entry[role].toLowerCase().trim())) {
+          errors.push(`forgiven[${i}].${role} "${entry[role]}" is not in this game's changes or side bets`);
+        }
+      }
+    });
+  }
+
+  if (game.notes !== undefined && typeof game.notes !== "string") {
+    errors.push(`"notes" must be a string if present`);
+  }
+
+  return errors;
+}
+
+/** Shared checks for sideBets and forgiven: two different known players and a positive amount. */
+function validateTransfers(errors, list, field, roles, optional, knownPlayers) {
+  if (list === undefined) return;
+  if (!Array.isArray(list)) {
+    errors.push(`"${field}" must be a list if present`);
+    return;
+  }
+
+  const allowed = new Set([...roles, "amount", ...optional]);
+  list.forEach((entry, i) => {
+    const at = `${field}[${i}]`;
+    if (!entry || typeof entry !== "object") {
+      errors.push(`${at} must be an object with ${roles.map(r => `"${r}"`).join(", ")} and "amount"`);
+      return;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!allowed.has(key)) errors.push(`${at} has unexpected field "${key}"`);
+    }
+
+    for (const role of roles) {
+      if (typeof entry[role] !== "string" || !entry[role].trim()) {
+        errors.push(`${at}.${role} must be a non-empty string`);
+      } else {
+        checkPlayer(errors, `${at}.${role}`, entry[role], knownPlayers);
+      }
+    }
+    const [a, b] = roles.map(role => String(entry[role]).toLowerCase().trim());
+    if (a === b) errors.push(`${at}.${roles[0]} and ${roles[1]} must be different players`);
+
+    if (!isHalfStep(entry.amount) || entry.amount <= 0) {
+      errors.push(`${at}.amount must be a positive whole or half number, got ${JSON.stringify(entry.amount)}`);
+    }
+  });
+}
+
+function checkPlayer(errors, at, name, knownPlayers) {
+  if (!knownPlayers.names.has(name.toLowerCase().trim())) {
+    errors.push(`${at} "${name}" is not in player-registry.json (${knownPlayers.canonical.join(", ")})`);
+  }
+}
+
+function isHalfStep(value) {
+  return typeof value === "number" && Number.isFinite(value) && Number.isInteger(value * 2);
+}
+
+function isIsoDate(str) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  const d = new Date(`${str}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === str;
+}
+
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+/** Every lowercase name and alias in player-registry.json (what normalizePlayerName() resolves). */
+function loadKnownPlayers() {
+  const { players = [] } = JSON.parse(fs.readFileSync(PLAYER_REGISTRY, "utf8"));
+  const names = new Set();
+  for (const entry of players) {
+    names.add(entry.name.toLowerCase());
+    for (const alias of (entry.aliases || [])) names.add(alias.toLowerCase());
+  }
+  return { names, canonical: players.map(entry => entry.name) };
+}
+
+/** Every lowercase id, name and alias in game-registry.json (what normalizeGameName() resolves). */
+function loadKnownGames() {
+  const { games = [] } = JSON.parse(fs.readFileSync(GAME_REGISTRY, "utf8"));
+  const names = new Set();
+  for (const entry of games) {
+    names.add(entry.id.toLowerCase());
+    names.add(entry.name.toLowerCase());
+    for (const alias of (entry.aliases || [])) names.add(alias.toLowerCase());
+  }
+  return names;
+}
+
+main();
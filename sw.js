@@ -0,0 +1,177 @@
+// ============================================
+// MAHBLES SERVICE WORKER
+// ============================================
+//
+// Keeps mahbles.html usable offline and when the GitHub API rate-limits us.
+//   - Page shell (HTML, JS, CSS, registry files, Chart.js): served from cache,
+//     refreshed in the background (stale-while-revalidate). The page is cached
+//     whichever URL opened it (/mahbles or /mahbles.html); other pages on the
+//     site are left to the network
+//   - Game data (mahbles-all.json, GitHub contents API, raw game files):
+//     network first, falling back to the last good copy. Cached copies carry
+//     an X-Cached-At header so the page can show a "data as of" banner.
+
+const CACHE_VERSION = 'mahbles-v5';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const DATA_CACHE = `${CACHE_VERSION}-data`;
+const DATA_TIMEOUT_MS = 5000;
+
+const SHELL_ASSETS = [
+    '/mahbles.html',
+    '/script.js',
+    '/style.css',
+    '/player-registry.json',
+    '/game-registry.json',
+    '/images/favicon.ico',
+    '/images/w-server.png',
+    'https://cdn.jsdelivr.net/npm/chart.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            // One missing asset shouldn't stop the rest from being cached
+            .then(cache => Promise.allSettled(SHELL_ASSETS.map(url => cache.add(url))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !key.startsWith(CACHE_VERSION)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isDataRequest(url)) {
+        event.respondWith(networkFirst(request));
+    } else if (isMahblesPage(request, url)) {
+        // mahbles.html under whatever URL it was opened with
+        event.respondWith(staleWhileRevalidate(request, event));
+    } else if (isShellRequest(url)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+// ============================================
+// ROUTING
+// ============================================
+
+function isDataRequest(url) {
+    if (url.origin === self.location.origin) {
+        return url.pathname === '/mahbles-all.json';
+    }
+    if (url.hostname === 'api.github.com') {
+        return url.pathname.endsWith('/contents/mahbles-data');
+    }
+    if (url.hostname === 'raw.githubusercontent.com') {
+        return url.pathname.includes('/mahbles-data/');
+    }
+    return false;
+}
+
+// The worker's scope is the whole site, but only this page is ours to cache
+function isMahblesPage(request, url) {
+    return request.mode === 'navigate'
+        && url.origin === self.location.origin
+        && pageKey(url) === '/mahbles.html';
+}
+
+function isShellRequest(url) {
+    if (url.origin === self.location.origin) {
+        return SHELL_ASSETS.includes(url.pathname);
+    }
+    return SHELL_ASSETS.includes(url.href);
+}
+
+// ============================================
+// STRATEGIES
+// ============================================
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    let response = null;
+    try {
+        response = await fetchWithTimeout(request, DATA_TIMEOUT_MS);
+    } catch (error) {
+        // Offline or timed out — fall through to the cache
+    }
+
+    if (response && response.ok) {
+        await cache.put(request, await stampResponse(response.clone()));
+        return response;
+    }
+
+    // A 403 from GitHub means we're rate-limited — treat it like being offline
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    // Nothing cached: hand back the real response (e.g. the 404 that sends
+    // script.js on to the GitHub API) or a network error
+    return response || Response.error();
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Pages are stored under a normalised path, so /mahbles, /mahbles.html and
+    // /mahbles.html?view=... all share one entry (the precached one included)
+    const key = request.mode === 'navigate' ? pageKey(new URL(request.url)) : request;
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(key, response.clone()).then(() => response);
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return refresh;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/** "/mahbles" → "/mahbles.html", "/" → "/index.html"; the query string is dropped */
+function pageKey(url) {
+    let path = url.pathname;
+    if (path.endsWith('/')) path += 'index.html';
+    else if (!/\.[a-z0-9]+$/i.test(path)) path += '.html';
+    return path;
+}
+
+function fetchWithTimeout(request, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    return fetch(request, { signal: controller.signal }).finally(() => clearTimeout(timer));
+}
+
+/** Copy of a response with the time it was cached, for the page's stale-data banner */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}